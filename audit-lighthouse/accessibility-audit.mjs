@@ -0,0 +1,92 @@
+// Site-wide axe-core audit: every path of a site config on every device profile, with each
+// problem reported once together with the number of pages it affects (see accessibility.mjs)
+// Usage: node accessibility-audit.mjs <site-config.json> [--workers <n>] [--out <basePath>]
+//   --workers  Chrome instances running pages at once (default 1, or "workers" in the config)
+//   --out      where the reports go, without extension (default reports/<site>-accessibility-<timestamp>)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadSiteConfig } from './site-config.mjs';
+import { resolveProfiles } from './profiles.mjs';
+import { resolveLogin } from './login.mjs';
+import { runWithChromePool } from './chrome-pool.mjs';
+import { dedupeViolations, countByLevel, writeAccessibilityReport } from './accessibility.mjs';
+import { parseCount } from './cli-options.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    workers: { type: 'string' },
+    out: { type: 'string' }
+  }
+});
+
+// Same site config as audit.js: its paths, its device profiles (mobile and desktop when it has
+// none) and its login, so pages behind the login are checked too
+let config, profiles, login, workers;
+try {
+  if (!positionals[0]) throw new Error('Usage: node accessibility-audit.mjs <site-config.json> [--workers <n>] [--out <basePath>]');
+  const configPath = path.resolve(__dirname, positionals[0]);
+  config = loadSiteConfig(configPath);
+  profiles = resolveProfiles(config.profiles);
+  login = resolveLogin(config.login, path.dirname(configPath));
+  workers = parseCount(args.workers ?? config.workers ?? 1, '--workers (or "workers" in the site json)');
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+const basePath = args.out || path.join(__dirname, 'reports', `${config.site}-accessibility-${timestamp}`);
+
+const jobs = config.paths.flatMap(pathname => profiles.map(profile => ({
+  pathname,
+  profile,
+  url: new URL(pathname, `${config.base}/`).href
+})));
+
+console.log(`♿ Running axe-core on ${config.paths.length} paths × ${profiles.length} profiles (${profiles.map(profile => profile.name).join(', ')}) with ${workers} worker(s)`);
+const results = await runWithChromePool(jobs, async (job, worker) => {
+  console.log(`♿ [worker ${worker.id}] ${job.url} (${job.profile.name})`);
+  const { violations } = await worker.run({ type: 'axe', url: job.url, profile: job.profile });
+  return violations;
+}, {
+  workers,
+  timeoutMs: 2 * 60 * 1000,
+  setupWorker: login
+    ? async worker => {
+      console.log(`🔑 [worker ${worker.id}] Logging in`);
+      await worker.run({ type: 'login', login, baseUrl: config.base });
+    }
+    : null
+});
+
+const audited = results.filter(({ error }) => !error).map(({ job, result }) => ({ path: job.pathname, profile: job.profile.name, violations: result }));
+const failed = results.filter(({ error }) => error);
+const issues = dedupeViolations(audited);
+
+fs.mkdirSync(path.dirname(path.resolve(basePath)), { recursive: true });
+await writeAccessibilityReport(issues, basePath);
+
+console.log('\n📊 Issues by WCAG level and impact:');
+console.table(countByLevel(issues));
+
+if (issues.length > 0) {
+  console.log('\n🔝 Issues affecting the most pages:');
+  console.table([...issues].sort((a, b) => b.affectedPages - a.affectedPages).slice(0, 10).map(({ level, impact, rule, selector, affectedPages }) => (
+    { level, impact, rule, selector: selector.length > 60 ? `${selector.slice(0, 57)}...` : selector, affects: `${affectedPages} page(s)` }
+  )));
+}
+
+console.log(`\n✅ ${audited.length} page/profile pairs audited, ${issues.length} distinct issue(s)`);
+console.log(`📁 Reports: ${basePath}.csv, ${basePath}.json`);
+
+if (failed.length > 0) {
+  console.log(`\n❌ ${failed.length} page/profile pair(s) failed:`);
+  failed.forEach(({ job, error }) => console.log(`  - ${job.url} (${job.profile.name}): ${error.message}`));
+  process.exitCode = 1;
+}
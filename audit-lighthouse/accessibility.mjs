@@ -0,0 +1,134 @@
+// Full axe-core accessibility audit of a page, and the site-wide report that lists every
+// problem once with the pages it affects (see accessibility-audit.mjs)
+//
+// Lighthouse's accessibility score only runs part of axe-core. This runs every WCAG 2.0–2.2
+// rule (A, AA and AAA) and axe's best practices, in the same Chrome the Lighthouse workers use.
+
+import fs from 'fs/promises';
+import axe from 'axe-core';
+import puppeteer from 'puppeteer-core';
+import { toCsv } from './summary.mjs';
+
+// Rules with any of these tags run, experimental and deprecated ones don't
+const AXE_TAGS = ['wcag2a', 'wcag21a', 'wcag2aa', 'wcag21aa', 'wcag22aa', 'wcag2aaa', 'best-practice'];
+
+const LEVELS = ['A', 'AA', 'AAA', 'Best practice'];
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+// "wcag21aa" -> "AA". Rules without a WCAG tag are axe best practices.
+function wcagLevel(tags) {
+  const levels = tags.map(tag => tag.match(/^wcag2\d?(a{1,3})$/)?.[1]).filter(Boolean).map(level => level.toUpperCase());
+  return LEVELS.find(level => levels.includes(level)) || 'Best practice';
+}
+
+// "wcag143" -> "1.4.3", the success criteria a rule checks
+const wcagCriteria = tags => tags.map(tag => tag.match(/^wcag(\d)(\d)(\d+)$/)).filter(Boolean).map(([, a, b, c]) => `${a}.${b}.${c}`);
+
+// axe's target is a selector per frame, and per shadow root inside a frame: ["iframe", ["#host", "button"]]
+const formatTarget = target => target.map(part => (Array.isArray(part) ? part.join(' >>> ') : part)).join(' >> ');
+
+// Open url in the Chrome listening on port, the way the profile's device sees it, and run axe-core.
+// Returns the violations: [{ rule, impact, level, criteria, help, helpUrl, nodes: [{ selector, html, failureSummary }] }]
+async function runAxe(port, url, { settings }) {
+  const browser = await puppeteer.connect({ browserURL: `http://127.0.0.1:${port}`, defaultViewport: null });
+  const page = await browser.newPage();
+
+  try {
+    const { screenEmulation: screen, emulatedUserAgent } = settings;
+    if (!screen.disabled) {
+      await page.setViewport({
+        width: screen.width,
+        height: screen.height,
+        deviceScaleFactor: screen.deviceScaleFactor,
+        isMobile: screen.mobile,
+        hasTouch: screen.mobile
+      });
+    }
+    if (emulatedUserAgent) await page.setUserAgent(emulatedUserAgent);
+
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 60 * 1000 });
+    if (response && !response.ok()) throw new Error(`HTTP ${response.status()} for ${url}`);
+
+    await page.evaluate(axe.source);
+    const violations = await page.evaluate(tags => window.axe.run(document, {
+      runOnly: { type: 'tag', values: tags },
+      resultTypes: ['violations']
+    }).then(results => results.violations), AXE_TAGS);
+
+    return violations.map(violation => ({
+      rule: violation.id,
+      impact: violation.impact,
+      level: wcagLevel(violation.tags),
+      criteria: wcagCriteria(violation.tags),
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      nodes: violation.nodes.map(node => ({
+        selector: formatTarget(node.target),
+        html: node.html,
+        failureSummary: node.failureSummary
+      }))
+    }));
+  } finally {
+    await page.close().catch(() => {});
+    await browser.disconnect();
+  }
+}
+
+// Merge the violations of every page × profile into one issue per rule and selector, so a broken
+// header on every page is one issue that affects them all.
+// results: [{ path, profile, violations }] from runAxe. Sorted by level, impact, then most pages first.
+function dedupeViolations(results) {
+  const issues = new Map();
+
+  for (const { path, profile, violations } of results) {
+    for (const { nodes, ...violation } of violations) {
+      for (const node of nodes) {
+        const key = `${violation.rule} ${node.selector}`;
+        if (!issues.has(key)) issues.set(key, { ...violation, ...node, pages: new Set(), profiles: new Set() });
+        issues.get(key).pages.add(path);
+        issues.get(key).profiles.add(profile);
+      }
+    }
+  }
+
+  return [...issues.values()]
+    .map(({ pages, profiles, ...issue }) => ({ ...issue, affectedPages: pages.size, profiles: [...profiles], pages: [...pages].sort() }))
+    .sort((a, b) =>
+      LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level) ||
+      IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact) ||
+      b.affectedPages - a.affectedPages ||
+      a.rule.localeCompare(b.rule)
+    );
+}
+
+// How many issues and affected pages there are per WCAG level × impact, for the console
+function countByLevel(issues) {
+  return LEVELS.flatMap(level => IMPACTS.map(impact => {
+    const own = issues.filter(issue => issue.level === level && issue.impact === impact);
+    return { level, impact, issues: own.length, rules: new Set(own.map(issue => issue.rule)).size };
+  })).filter(row => row.issues > 0);
+}
+
+const ISSUE_COLUMNS = ['level', 'impact', 'rule', 'criteria', 'affectedPages', 'profiles', 'selector', 'help', 'failureSummary', 'html', 'helpUrl', 'examplePages'];
+
+// Write <basePath>.csv (one row per issue, in the order they should be fixed) and <basePath>.json
+// with the issues grouped by WCAG level and impact, every affected page included
+async function writeAccessibilityReport(issues, basePath = 'accessibility') {
+  const rows = issues.map(issue => ({
+    ...issue,
+    criteria: issue.criteria.join(' '),
+    profiles: issue.profiles.join(' '),
+    examplePages: issue.pages.slice(0, 5).join(' ')
+  }));
+  await fs.writeFile(`${basePath}.csv`, toCsv(rows, ISSUE_COLUMNS), 'utf8');
+
+  const grouped = {};
+  for (const issue of issues) {
+    grouped[issue.level] ??= {};
+    grouped[issue.level][issue.impact] ??= [];
+    grouped[issue.level][issue.impact].push(issue);
+  }
+  await fs.writeFile(`${basePath}.json`, JSON.stringify(grouped, null, 2), 'utf8');
+}
+
+export { AXE_TAGS, runAxe, dedupeViolations, countByLevel, writeAccessibilityReport };
@@ -1,97 +1,288 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import lighthouse from 'lighthouse';
-import * as chromeLauncher from 'chrome-launcher';
+import { parseArgs } from 'util';
+import { computeMedianRun, filterToValidRuns } from 'lighthouse/core/lib/median-run.js';
+import { loadSiteConfig } from './site-config.mjs';
+import { resolveProfiles } from './profiles.mjs';
+import { resolveLogin } from './login.mjs';
+import { resolveFlows } from './flows.mjs';
+import { PLUGIN_CATEGORY, loadPlugins } from './plugins.mjs';
+import { extractSummaryRow, aggregateRuns, writeSummary } from './summary.mjs';
+import { runWithChromePool } from './chrome-pool.mjs';
+import { groupIntoTemplates, samplePaths, rollupByTemplate, writeTemplateSummary } from './templates.mjs';
+import { loadBaseline, saveBaseline, compareToBaseline, printRegressionTable } from './budget.mjs';
+import { writeDashboard } from './dashboard.mjs';
+import { DEFAULT_HISTORY_FILE, appendToHistory } from './history.mjs';
+import { parseCount } from './cli-options.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const configFile = process.argv[2] || './condo-world.json';
+// Usage: node audit.js <site-config.json> [--workers <n>] [--runs <n>] [--sample <n>] [--baseline <summary.json>] [--save-baseline <summary.json>] [--history <file>]
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    workers: { type: 'string' },
+    runs: { type: 'string' },
+    sample: { type: 'string' },
+    baseline: { type: 'string' },
+    'save-baseline': { type: 'string' },
+    history: { type: 'string' }
+  }
+});
+
+const configFile = positionals[0] || './condo-world.json';
 const configPath = path.resolve(__dirname, configFile);
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
 
-// Device configurations
-const configs = [
-    { name: 'mobile', formFactor: 'mobile', screenEmulation: { disabled: false }, emulatedUserAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 10_3 like Mac OS X)' },
-    { name: 'desktop', formFactor: 'desktop', screenEmulation: { disabled: true }, emulatedUserAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)' }
-  ];
+// Device profiles come from the site config, Lighthouse's standard mobile and desktop when it has none.
+// With --sample (or "sample" in the config) paths are grouped into templates and only
+// that many pages per template are audited.
+// A "login" in the config is checked here, environment variables included, and run in every worker.
+// "flows" are journeys through several pages, audited with Lighthouse's user-flow mode.
+// "plugins" add the site's own checks from plugins/ as an extra category.
+let config, profiles, login, flows, plugins, templates = null, targets, workers, runCount, baselineRows;
+try {
+  config = loadSiteConfig(configPath);
+  profiles = resolveProfiles(config.profiles);
+  login = resolveLogin(config.login, path.dirname(configPath));
+  flows = resolveFlows(config.flows, profiles);
+  plugins = await loadPlugins(config.plugins);
+  // Parallel runs compete for CPU and can skew performance numbers, so this defaults to 1
+  workers = parseCount(args.workers ?? config.workers ?? 1, '--workers (or "workers" in the site json)');
+  // Lighthouse runs per path/profile; with more than one the median is reported along with the spread
+  runCount = parseCount(args.runs ?? config.runs ?? 1, '--runs (or "runs" in the site json)');
+  // Load the baseline up front so a bad path fails before the audits run
+  baselineRows = args.baseline ? loadBaseline(path.resolve(args.baseline)) : null;
+  const perTemplate = parseCount(args.sample ?? config.sample, '--sample (or "sample" in the site json)');
+  if (perTemplate) {
+    templates = groupIntoTemplates(config.paths, config.templates, { minTemplateSize: config.minTemplateSize });
+    targets = samplePaths(templates, perTemplate);
+  } else {
+    targets = config.paths.map(pathname => ({ pathname }));
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+if (config.skippedPaths.length > 0) {
+  console.log(`⏭️  Skipping ${config.skippedPaths.length} path(s) excluded by include/exclude rules`);
+}
+if (login) {
+  console.log(`🔑 Logging in with ${login.script ? path.relative(process.cwd(), login.script) : `${login.steps.length} login steps`} before the audits`);
+}
+if (plugins) {
+  console.log(`🧩 Site checks from plugins: ${plugins.names.join(', ')}`);
+}
+if (flows.length > 0) {
+  console.log(`🧭 Also running ${flows.length} user flow(s): ${flows.map(flow => flow.name).join(', ')}`);
+}
+if (templates) {
+  console.log(`🧩 Sampling ${targets.length} of ${config.paths.length} paths across ${templates.length} templates`);
+}
 
 const baseURL = config.base;
-const pathnames = config.paths
-
-const outputDir = path.join(__dirname, 'reports');
-
-
-async function runLighthouse(url, configName, configOverrides) {
-    const chromeOptions = {
-        chromeFlags: [
-            '--headless=new',
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-gpu',
-            '--incognito',
-            '--disable-extensions',
-            '--no-first-run',
-            '--no-default-browser-check',
-            '--disable-software-rasterizer'
-        ]
-    };
-    
-    // Use CHROME_PATH if set (for Docker/GitHub Actions)
-    if (process.env.CHROME_PATH) {
-        chromeOptions.chromePath = process.env.CHROME_PATH;
-        console.log(`Using Chrome at: ${process.env.CHROME_PATH}`);
-    }
-    
-    let chrome;
-    try {
-        chrome = await chromeLauncher.launch(chromeOptions);
-        console.log(`Chrome launched on port: ${chrome.port}`);
-    } catch (error) {
-        console.error('Failed to launch Chrome:', error);
-        throw error;
-    }
+const budgets = config.budgets || {};
 
-    const options = {
-        logLevel: 'info',
-        output: ['html', 'json'],
-        onlyCategories: ['performance', 'accessibility', 'best-practices', 'seo'],
-        port: chrome.port,
-        emulatedFormFactor: configOverrides.formFactor,
-        screenEmulation: configOverrides.screenEmulation,
-        throttlingMethod: 'provided',
-        throttling: {
-        rttMs: 0, throughputKbps: 0, cpuSlowdownMultiplier: 1,
-        requestLatencyMs: 0, downloadThroughputKbps: 0, uploadThroughputKbps: 0
-        },
-        disableStorageReset: true,
-    };
-
-  const result = await lighthouse(url, options);
+const runStartedAt = new Date().toISOString();
+const runTimestamp = runStartedAt.replace(/[:.]/g, '-');
+// Every run gets its own folder with an index.html, so it can be zipped up and sent as it is
+const outputDir = path.join(__dirname, 'reports', `${config.site}-${runTimestamp}`);
 
+
+const AUDITED_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo', ...(plugins ? [PLUGIN_CATEGORY] : [])];
+// Lighthouse config with the plugins' gatherers and audits, or Lighthouse's default one
+const lighthouseConfig = plugins?.config;
+
+// Lighthouse flags for one device profile
+function lighthouseFlags(profile) {
+  return {
+    logLevel: 'info',
+    output: ['html', 'json'],
+    onlyCategories: AUDITED_CATEGORIES,
+    ...profile.settings,
+    // Chrome is reused between runs, so reset storage to keep every run a cold load
+    disableStorageReset: false,
+  };
+}
+
+// Lighthouse flags for the steps of a user flow. Storage is only reset before the first
+// navigation, the later steps carry on the same visit like a real journey.
+function flowFlags(profile) {
+  return {
+    logLevel: 'info',
+    onlyCategories: AUDITED_CATEGORIES,
+    ...profile.settings
+  };
+}
+
+// "/myrtle-beach/rentals" -> "myrtle-beach-rentals", "Book a stay" -> "Book-a-stay"
+const slugify = text => text.replace(/\W+/g, '-').replace(/^-|-$/g, '');
+
+// Write the HTML and JSON reports for one run and return the HTML report's file name.
+// name starts the file name, e.g. the page's path.
+function saveReports(name, profileName, report) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const urlPath = new URL(url).pathname;
-  const pathnameSlug = urlPath === '/' ? 'home' : urlPath.replace(/\W+/g, '-').replace(/^-|-$/g, '');
-  const filename = `${pathnameSlug}-${configName}-${timestamp}`;
+  const filename = `${name}-${profileName}-${timestamp}`;
   const basePath = path.resolve(outputDir, filename);
 
-  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir);
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
 
-  fs.writeFileSync(`${basePath}.html`, result.report[0]);
+  fs.writeFileSync(`${basePath}.html`, report[0]);
+  fs.writeFileSync(`${basePath}.json`, report[1]);
 
   console.log(`✅ Saved: ${basePath}`);
-  await chrome.kill();
+  return `${filename}.html`;
+}
+
+// Audit one path/profile runCount times, save the median run's reports and return every run's
+// result with the median run's index and report file
+async function runLighthouse(job, worker) {
+  const runs = [];
+  for (let i = 1; i <= runCount; i++) {
+    console.log(`🚦 [worker ${worker.id}] ${job.url} (${job.profile}) run ${i}/${runCount}`);
+    const { report } = await worker.run({ type: 'lighthouse', url: job.url, flags: job.flags, config: lighthouseConfig });
+    runs.push({ report, lhr: JSON.parse(report[1]) });
+  }
+
+  // Runs that errored out can't be compared, fall back to the first run so there's still a report
+  const validRuns = filterToValidRuns(runs.map(run => run.lhr));
+  const medianLhr = validRuns.length > 0 ? computeMedianRun(validRuns) : runs[0].lhr;
+  const urlPath = new URL(job.url).pathname;
+  const reportFile = saveReports(urlPath === '/' ? 'home' : slugify(urlPath), job.profile, runs.find(run => run.lhr === medianLhr).report);
+
+  return { lhrs: runs.map(run => run.lhr), medianRun: runs.findIndex(run => run.lhr === medianLhr), reportFile };
+}
+
+// Run one user flow for one profile, save the flow report and return every measured step's result.
+// Flows run once, --runs only applies to the pages.
+async function runFlow(job, worker) {
+  console.log(`🧭 [worker ${worker.id}] Flow "${job.flow.name}" (${job.profile})`);
+  const { report } = await worker.run({ type: 'flow', flow: job.flow, flags: job.flags, config: lighthouseConfig, baseUrl: baseURL });
+  const reportFile = saveReports(`flow-${slugify(job.flow.name)}`, job.profile, report);
+  const { steps } = JSON.parse(report[1]);
+
+  return { steps: steps.map(step => ({ name: step.name, lhr: step.lhr })), reportFile };
+}
+
+// Log a new worker's Chrome in, so its audits see the pages behind the login
+async function logInWorker(worker) {
+  console.log(`🔑 [worker ${worker.id}] Logging in`);
+  await worker.run({ type: 'login', login, baseUrl: baseURL });
 }
 
 async function runBatch() {
-  for (const pathname of pathnames) {
+  const jobs = [];
+  for (const { pathname, template } of targets) {
     const fullURL = `${baseURL}${pathname}`;
-    for (const config of configs) {
-      await runLighthouse(fullURL, config.name, config);
+    for (const profile of profiles) {
+      jobs.push({ pathname, template, profile: profile.name, url: fullURL, flags: lighthouseFlags(profile) });
+    }
+  }
+
+  const pageJobs = jobs.length;
+  for (const flow of flows) {
+    for (const profile of profiles.filter(({ name }) => flow.profiles.includes(name))) {
+      jobs.push({ flow, profile: profile.name, flags: flowFlags(profile) });
     }
   }
+
+  console.log(`🔍 Auditing ${pageJobs} path/profile pairs${jobs.length > pageJobs ? ` and ${jobs.length - pageJobs} flow/profile pairs` : ''} with ${workers} worker(s)`);
+  const results = await runWithChromePool(jobs, (job, worker) => job.flow ? runFlow(job, worker) : runLighthouse(job, worker), {
+    workers,
+    // 5 minutes per Lighthouse run, or per measured step of the longest flow
+    timeoutMs: Math.max(runCount, ...flows.map(flow => flow.measuredSteps)) * 5 * 60 * 1000,
+    setupWorker: login ? logInWorker : null
+  });
+
+  const summaryRows = [];
+  const failed = [];
+  for (const { job, result, error } of results) {
+    if (error) failed.push({ job, error });
+    else if (job.flow) {
+      // One row per step, named after the flow and the step so they never mix with page rows
+      result.steps.forEach(({ name, lhr }, index) => summaryRows.push({
+        ...extractSummaryRow(lhr, `${job.flow.name} › ${name}`, job.profile),
+        flow: job.flow.name,
+        step: index + 1,
+        mode: lhr.gatherMode,
+        report: result.reportFile
+      }));
+    } else {
+      const rows = result.lhrs.map(lhr => extractSummaryRow(lhr, job.pathname, job.profile));
+      const row = rows.length > 1 ? aggregateRuns(rows, config.variance) : rows[0];
+      // Site checks come from the median run, so they match the report that was saved
+      if (row.siteChecks !== undefined) {
+        row.siteChecks = rows[result.medianRun].siteChecks;
+        row.failedChecks = rows[result.medianRun].failedChecks;
+      }
+      if (job.template) row.template = job.template;
+      row.report = result.reportFile;
+      summaryRows.push(row);
+    }
+  }
+
+  const unstable = summaryRows.filter(row => row.unstable);
+  if (unstable.length > 0) {
+    console.log(`\n⚠️  ${unstable.length} path/profile pair(s) varied too much between runs to trust:`);
+    unstable.forEach(row => console.log(`  - ${row.path} (${row.profile}): ${row.unstable}`));
+  }
+
+  const summaryPath = writeSummary(summaryRows, outputDir, runTimestamp);
+  console.log(`📊 Saved summary: ${summaryPath}.csv / .json`);
+
+  const flowRows = summaryRows.filter(row => row.flow);
+  if (flowRows.length > 0) {
+    console.log('\n🧭 User flow steps');
+    console.table(flowRows.map(({ flow, step, path: name, profile, mode, performance, accessibility, bestPractices, seo, lcp, cls, tbt }) => (
+      { flow, step: `${step}. ${name.slice(flow.length + 3)}`, profile, mode, performance, accessibility, bestPractices, seo, lcp, cls, tbt }
+    )));
+  }
+
+  if (templates) {
+    const rollups = rollupByTemplate(summaryRows.filter(row => !row.flow), templates);
+    const templateSummaryPath = writeTemplateSummary(rollups, outputDir, runTimestamp);
+    console.log('\n🧩 Results per template (median of the sampled pages)');
+    console.table(rollups.map(({ template, profile, pagesTotal, pagesSampled, performance, accessibility, bestPractices, seo, lcp }) => (
+      { template, profile, pages: `${pagesSampled}/${pagesTotal}`, performance, accessibility, bestPractices, seo, lcp }
+    )));
+    console.log(`📊 Saved template summary: ${templateSummaryPath}.csv / .json`);
+  }
+
+  const dashboardPath = writeDashboard(summaryRows, outputDir, {
+    site: config.site,
+    base: baseURL,
+    timestamp: runTimestamp,
+    failed: failed.map(({ job, error }) => ({ path: job.pathname ?? job.flow.name, profile: job.profile, error: error.message }))
+  });
+  console.log(`🗂️  Saved dashboard: ${dashboardPath}`);
+
+  // Every run's results are kept for trend.mjs
+  const historyFile = appendToHistory(summaryRows, {
+    site: config.site,
+    date: runStartedAt,
+    runDir: path.basename(outputDir),
+    file: args.history ? path.resolve(args.history) : DEFAULT_HISTORY_FILE
+  });
+  console.log(`📚 Added ${summaryRows.length} result(s) to ${historyFile}`);
+
+  if (args['save-baseline']) {
+    saveBaseline(summaryRows, path.resolve(args['save-baseline']));
+    console.log(`💾 Saved baseline: ${args['save-baseline']}`);
+  }
+
+  if (failed.length > 0) {
+    console.log(`\n❌ ${failed.length} audit(s) failed:`);
+    failed.forEach(({ job, error }) => console.log(`  - ${job.url ?? `flow "${job.flow.name}"`} (${job.profile}): ${error.message}`));
+    process.exitCode = 1;
+  }
+
+  if (baselineRows) {
+    const checks = compareToBaseline(summaryRows, baselineRows, budgets);
+    const failures = printRegressionTable(checks);
+    if (failures > 0) process.exitCode = 1;
+  }
 }
 
 runBatch().catch((error) => {
@@ -0,0 +1,123 @@
+// Compare a run's summary rows against a saved baseline and check them against the site's budgets
+//
+// Budgets live in the site config under "budgets":
+//   "budgets": {
+//     "scoreDrop": { "performance": 5, "accessibility": 0 },
+//     "metrics": {
+//       "mobile": { "lcp": 2500, "cls": 0.1 },
+//       "desktop": { "lcp": 1500 }
+//     }
+//   }
+// scoreDrop is the most points a category may lose compared to the baseline.
+// metrics are absolute ceilings for the new run (milliseconds, CLS is unitless), keyed by
+// profile name, falling back to the profile's form factor (mobile/desktop).
+
+import fs from 'fs';
+import path from 'path';
+import { CATEGORIES } from './summary.mjs';
+
+// Summaries written before profiles existed call the profile "device"
+const profileOf = row => row.profile || row.device;
+const rowKey = row => `${row.path}|${profileOf(row)}`;
+
+function loadBaseline(baselinePath) {
+  if (!fs.existsSync(baselinePath)) {
+    throw new Error(`Baseline not found: ${baselinePath}`);
+  }
+
+  let rows;
+  try {
+    rows = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Baseline ${baselinePath} is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(rows)) {
+    throw new Error(`Baseline ${baselinePath} is not a summary file (expected an array of rows)`);
+  }
+  return rows;
+}
+
+// Save a run's summary rows so a later run can be compared against it
+function saveBaseline(rows, baselinePath) {
+  fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+  fs.writeFileSync(baselinePath, JSON.stringify(rows, null, 2));
+}
+
+// Check every current row against its baseline row and the budgets.
+// Returns one entry per check that has a limit, with passed=false for broken budgets.
+function compareToBaseline(currentRows, baselineRows, budgets = {}) {
+  const baselineByKey = new Map(baselineRows.map(row => [rowKey(row), row]));
+  const scoreDrop = budgets.scoreDrop || {};
+  const metricBudgets = budgets.metrics || {};
+  const checks = [];
+
+  for (const row of currentRows) {
+    const baseline = baselineByKey.get(rowKey(row));
+
+    for (const [category, maxDrop] of Object.entries(scoreDrop)) {
+      // Accept Lighthouse category ids ("best-practices") as well as summary columns ("bestPractices")
+      const column = CATEGORIES[category] || category;
+      const current = row[column];
+      const previous = baseline ? baseline[column] : null;
+      if (typeof current !== 'number' || typeof previous !== 'number') continue;
+
+      const delta = current - previous;
+      checks.push({
+        path: row.path,
+        profile: profileOf(row),
+        check: column,
+        baseline: previous,
+        current,
+        delta,
+        limit: `drop ≤ ${maxDrop}`,
+        passed: -delta <= maxDrop
+      });
+    }
+
+    const limits = metricBudgets[profileOf(row)] || metricBudgets[row.formFactor] || {};
+    for (const [metric, max] of Object.entries(limits)) {
+      const current = row[metric];
+      if (typeof current !== 'number') continue;
+
+      const previous = baseline && typeof baseline[metric] === 'number' ? baseline[metric] : null;
+      checks.push({
+        path: row.path,
+        profile: profileOf(row),
+        check: metric,
+        baseline: previous,
+        current,
+        delta: previous === null ? null : Number((current - previous).toFixed(3)),
+        limit: `≤ ${max}`,
+        passed: current <= max
+      });
+    }
+  }
+
+  return checks;
+}
+
+// Print the per-path regression table and return the number of broken budgets
+function printRegressionTable(checks) {
+  if (checks.length === 0) {
+    console.log('⚠️  No budget checks ran. Add "budgets" to the site config.');
+    return 0;
+  }
+
+  console.log('\n📉 Baseline comparison');
+  console.table(checks.map(({ passed, ...check }) => ({
+    ...check,
+    delta: check.delta === null ? '' : check.delta,
+    baseline: check.baseline === null ? '' : check.baseline,
+    status: passed ? '✅' : '❌'
+  })));
+
+  const failures = checks.filter(check => !check.passed);
+  if (failures.length > 0) {
+    console.log(`❌ ${failures.length} budget(s) broken across ${new Set(failures.map(rowKey)).size} path/profile pair(s)`);
+  } else {
+    console.log(`✅ All ${checks.length} budget checks passed`);
+  }
+  return failures.length;
+}
+
+export { loadBaseline, saveBaseline, compareToBaseline, printRegressionTable };
@@ -0,0 +1,66 @@
+// Structured data report for every page of a site config: the JSON-LD and microdata on each
+// page checked against the properties schema.org types need (see structured-data.mjs)
+// Usage: node check-structured-data.mjs <site-config.json> [--concurrency <n>] [--rps <n>] [--out <basePath>]
+//   --concurrency  pages fetched at once (default 5)
+//   --rps          requests per second at most (default 5, 0 = no limit)
+//   --out          where the reports go, without extension (default reports/<site>-structured-data)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadSiteConfig } from './site-config.mjs';
+import { checkPages, writeStructuredDataReport } from './structured-data.mjs';
+import { parseCount, parseRate } from './cli-options.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const USER_AGENT = 'Mozilla/5.0 (compatible; Structured-Data-Check/1.0)';
+// Issues that make a page's structured data wrong, rather than incomplete or missing
+const ERRORS = ['invalid-json', 'missing-required', 'invalid-value'];
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    concurrency: { type: 'string', default: '5' },
+    rps: { type: 'string', default: '5' },
+    out: { type: 'string' }
+  }
+});
+
+let config, concurrency, requestsPerSecond;
+try {
+  if (!positionals[0]) throw new Error('Usage: node check-structured-data.mjs <site-config.json> [--concurrency <n>] [--rps <n>] [--out <basePath>]');
+  config = loadSiteConfig(path.resolve(__dirname, positionals[0]));
+  concurrency = parseCount(args.concurrency, '--concurrency');
+  requestsPerSecond = parseRate(args.rps, '--rps');
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const basePath = args.out || path.join(__dirname, 'reports', `${config.site}-structured-data`);
+const urls = config.paths.map(pathname => new URL(pathname, `${config.base}/`).href);
+
+console.log(`🧩 Checking structured data on ${urls.length} pages of ${config.base}`);
+const pages = await checkPages(urls, {
+  concurrency,
+  requestsPerSecond,
+  userAgent: USER_AGENT
+});
+
+fs.mkdirSync(path.dirname(path.resolve(basePath)), { recursive: true });
+const { issues, types } = await writeStructuredDataReport(pages, basePath);
+
+console.log('\n📊 By type:');
+console.table(types.filter(type => type.items > 0).map(({ topProblems, ...type }) => type));
+
+const withoutData = issues.filter(issue => issue.issue === 'no-structured-data');
+const failed = issues.filter(issue => issue.issue === 'fetch-error');
+const pagesWithErrors = new Set(issues.filter(issue => ERRORS.includes(issue.issue)).map(issue => issue.url)).size;
+console.log(`\n✅ ${pages.length} pages checked: ${pagesWithErrors} with errors, ${withoutData.length} without structured data, ${failed.length} could not be fetched`);
+if (withoutData.length > 0) {
+  console.log('\n🚫 No structured data:');
+  withoutData.slice(0, 20).forEach(({ url }) => console.log(`  ${url}`));
+  if (withoutData.length > 20) console.log(`  ...and ${withoutData.length - 20} more`);
+}
+console.log(`\n📁 Reports: ${basePath}-pages.csv, ${basePath}-issues.csv, ${basePath}-types.csv, ${basePath}.json`);
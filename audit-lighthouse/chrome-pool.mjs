@@ -0,0 +1,172 @@
+// Pool of reusable Chrome instances for running Lighthouse jobs in parallel
+//
+// Each worker is a child process (lighthouse-worker.mjs) that owns one Chrome for the
+// whole batch. Lighthouse keeps global timing state, so parallel runs have to live in
+// separate processes rather than share this one. If a job fails (Chrome crashed, hung
+// or lost its connection) the worker and its Chrome are thrown away, a fresh pair is
+// started and the job is retried, so one bad page or browser never aborts the batch.
+
+import path from 'path';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import * as chromeLauncher from 'chrome-launcher';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKER_PATH = path.join(__dirname, 'lighthouse-worker.mjs');
+
+const CHROME_FLAGS = [
+  '--headless=new',
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--incognito',
+  '--disable-extensions',
+  '--no-first-run',
+  '--no-default-browser-check',
+  '--disable-software-rasterizer'
+];
+
+async function launchChrome() {
+  const chromeOptions = { chromeFlags: CHROME_FLAGS };
+
+  // Use CHROME_PATH if set (for Docker/GitHub Actions)
+  if (process.env.CHROME_PATH) {
+    chromeOptions.chromePath = process.env.CHROME_PATH;
+  }
+
+  try {
+    return await chromeLauncher.launch(chromeOptions);
+  } catch (error) {
+    console.error('Failed to launch Chrome:', error);
+    throw error;
+  }
+}
+
+async function killChrome(chrome) {
+  if (!chrome) return;
+  try {
+    await chrome.kill();
+  } catch {
+    // Already gone (usually because it crashed)
+  }
+}
+
+// Start a worker process and wait until its Chrome is up
+function startWorker(id) {
+  const child = fork(WORKER_PATH, [], { stdio: 'inherit' });
+  const worker = { id, child, chromePid: null, pending: null };
+
+  // Send a message to the worker and wait for its result/error reply
+  worker.run = message => new Promise((resolve, reject) => {
+    worker.pending = { resolve, reject };
+    child.send(message);
+  });
+
+  return new Promise((resolve, reject) => {
+    child.on('message', message => {
+      if (message.type === 'ready') {
+        worker.chromePid = message.pid;
+        console.log(`🧭 [worker ${id}] Chrome launched on port: ${message.port}`);
+        resolve(worker);
+        return;
+      }
+
+      const pending = worker.pending;
+      worker.pending = null;
+      if (!pending) return;
+      if (message.type === 'result') pending.resolve(message.result);
+      else pending.reject(new Error(message.message));
+    });
+
+    child.on('exit', code => {
+      const error = new Error(`Worker exited with code ${code}`);
+      reject(error);
+      if (worker.pending) {
+        worker.pending.reject(error);
+        worker.pending = null;
+      }
+    });
+  });
+}
+
+// Ask the worker to close its Chrome and exit; force-kill both when it is stuck or crashed
+async function stopWorker(worker, { force = false } = {}) {
+  if (!worker) return;
+  const { child, chromePid } = worker;
+  if (child.exitCode !== null || child.signalCode !== null) force = true;
+
+  if (!force) {
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.send({ type: 'close' });
+    await exited;
+    return;
+  }
+
+  child.kill('SIGKILL');
+  if (chromePid) {
+    try {
+      process.kill(chromePid, 'SIGKILL');
+    } catch {
+      // Chrome already exited
+    }
+  }
+}
+
+// Reject if the job hasn't settled within timeoutMs
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs / 1000}s`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run every job through runJob(job, worker) using `workers` Chrome instances.
+// runJob sends work to the worker with worker.run({ type: 'lighthouse', url, flags, config }), or
+// worker.run({ type: 'flow', flow, flags, config, baseUrl }) for a user flow, or
+// worker.run({ type: 'axe', url, profile }) for an axe-core audit.
+// setupWorker(worker), when given, runs on every new worker before its first job (e.g. to log in);
+// when it fails the worker is replaced like after a failed job.
+// Returns one entry per job, in job order: { job, result } or { job, error }.
+async function runWithChromePool(jobs, runJob, { workers = 1, retries = 1, timeoutMs = 5 * 60 * 1000, setupWorker = null } = {}) {
+  const results = new Array(jobs.length);
+  let nextIndex = 0;
+
+  async function workerLoop(id) {
+    let worker = null;
+
+    try {
+      while (nextIndex < jobs.length) {
+        const index = nextIndex++;
+        const job = jobs[index];
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+          try {
+            if (!worker) {
+              worker = await startWorker(id);
+              if (setupWorker) await withTimeout(setupWorker(worker), timeoutMs);
+            }
+            results[index] = { job, result: await withTimeout(runJob(job, worker), timeoutMs) };
+            break;
+          } catch (error) {
+            console.error(`🔥 [worker ${id}] Attempt ${attempt + 1}/${retries + 1} failed: ${error.message}`);
+            // The browser may be in a bad state, start the next attempt with a fresh one
+            await stopWorker(worker, { force: true });
+            worker = null;
+            results[index] = { job, error };
+          }
+        }
+      }
+    } finally {
+      await stopWorker(worker);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(workers, jobs.length));
+  await Promise.all(Array.from({ length: workerCount }, (_, i) => workerLoop(i + 1)));
+
+  return results;
+}
+
+export { launchChrome, killChrome, runWithChromePool };
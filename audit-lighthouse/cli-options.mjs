@@ -0,0 +1,24 @@
+// Checks for the numeric command line options, so a typo stops the script with a message
+// instead of quietly becoming NaN or 0. Both return undefined when the option wasn't given.
+
+// Counts like --concurrency, --workers or --runs: a whole number of 1 or more
+function parseCount(value, label) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (String(value).trim() === '' || !Number.isInteger(number) || number < 1) {
+    throw new Error(`${label} must be a whole number above 0, got "${value}"`);
+  }
+  return number;
+}
+
+// Requests per second: any number of 0 or more, 0 turns the limit off
+function parseRate(value, label) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new Error(`${label} must be a number of 0 or more (0 = no limit), got "${value}"`);
+  }
+  return number;
+}
+
+export { parseCount, parseRate };
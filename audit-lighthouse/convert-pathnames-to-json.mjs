@@ -1,12 +1,26 @@
 #!/usr/bin/env node
 
-// Convert pathnames.txt to JSON format
-// Usage: node convert-pathnames-to-json.mjs [input-file] [output-file]
+// Convert pathnames.txt to a site config that audit.js can run
+// Usage: node convert-pathnames-to-json.mjs [input-file] [output-file] --base https://www.example.com
 
 import fs from "fs/promises";
 import path from "path";
+import { parseArgs } from "util";
+import { normalizeBaseUrl, normalizeSiteConfig } from "./site-config.mjs";
+
+// Base URL from --base, or from the existing output file when re-converting
+async function resolveBaseUrl(baseArg, outputFile) {
+  if (baseArg) return normalizeBaseUrl(baseArg, "--base");
 
-async function convertPathnamesToJson(inputFile, outputFile) {
+  try {
+    const existing = JSON.parse(await fs.readFile(outputFile, 'utf8'));
+    return normalizeBaseUrl(existing.base, outputFile);
+  } catch {
+    throw new Error(`No base URL for ${outputFile}. Pass it with --base, e.g. --base https://www.condo-world.com`);
+  }
+}
+
+async function convertPathnamesToJson(inputFile, outputFile, baseArg) {
   try {
     console.log(`📄 Reading pathnames from: ${inputFile}`);
     
@@ -19,26 +33,34 @@ async function convertPathnamesToJson(inputFile, outputFile) {
     
     console.log(`📊 Found ${pathnames.length} pathnames`);
     
-    // Extract site name from filename or use default
+    // Extract site name from filename
     const siteName = path.basename(inputFile, '.txt').replace('-pathnames', '');
+    const base = await resolveBaseUrl(baseArg, outputFile);
     
     // Create JSON structure
     const jsonData = {
       site: siteName,
-      base: `https://www.${siteName}.com`, // You can modify this as needed
-      pathnames: pathnames,
+      base,
+      paths: pathnames,
       metadata: {
         totalPathnames: pathnames.length,
         generatedAt: new Date().toISOString(),
         sourceFile: inputFile
       }
     };
+
+    // Validate it the same way audit.js will when it loads the file
+    const config = normalizeSiteConfig(jsonData, outputFile);
     
     // Write JSON file
     await fs.writeFile(outputFile, JSON.stringify(jsonData, null, 2), 'utf8');
     
     console.log(`✅ Successfully converted to JSON format`);
     console.log(`💾 Saved to: ${outputFile}`);
+    console.log(`🌐 Base URL: ${base}`);
+    if (config.skippedPaths.length > 0) {
+      console.log(`⏭️  ${config.skippedPaths.length} asset/excluded paths will be skipped by audit.js`);
+    }
     console.log(`📋 Preview of first 5 pathnames:`);
     pathnames.slice(0, 5).forEach((pathname, index) => {
       console.log(`  ${index + 1}. ${pathname}`);
@@ -55,11 +77,15 @@ async function convertPathnamesToJson(inputFile, outputFile) {
 }
 
 // Get command line arguments
-const inputFile = process.argv[2] || './sites-url-pathnames/mbgolf-pathnames.txt';
-const outputFile = process.argv[3] || inputFile.replace('.txt', '.json');
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: { base: { type: 'string' } }
+});
+const inputFile = positionals[0] || './sites-url-pathnames/mbgolf-pathnames.txt';
+const outputFile = positionals[1] || inputFile.replace('.txt', '.json');
 
 // Run the conversion
-convertPathnamesToJson(inputFile, outputFile);
+convertPathnamesToJson(inputFile, outputFile, args.base);
 
 
 
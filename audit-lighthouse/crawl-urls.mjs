@@ -1,10 +1,57 @@
 #!/usr/bin/env node
 
 // Web crawler to discover URL pathnames by following links
-// Usage: node crawl-urls.mjs
+// Usage: node crawl-urls.mjs [site-config.json] [--concurrency <n>] [--rps <n>] [--ignore-robots] [--state <file>]
+//   --concurrency    pages fetched at the same time (default 5)
+//   --rps            most requests started per second (default 5, 0 = no limit)
+//   --ignore-robots  don't obey robots.txt, for auditing our own staging sites
+//   --state          where progress is saved for resuming (default crawl-state-<host>.json)
+//   --broken-links   write broken-links.csv/.json with every failing link and the pages linking to it
+//   --check-external also check links to other sites for the broken link report
+//   --sitemap-diff   also read the sitemaps and write sitemap-diff.csv/.json with orphan pages,
+//                    pages missing from the sitemaps and sitemap entries that don't return 200
 
 import fs from "fs/promises";
+import path from "path";
 import readline from "readline";
+import { parseArgs } from "util";
+import { parse } from "node-html-parser";
+import { loadSiteConfig, filterPaths } from "./site-config.mjs";
+import { fetchRobots } from "./robots.mjs";
+import { createRateLimiter } from "./rate-limit.mjs";
+import { DEFAULT_TIMEOUT_MS } from "./link-check.mjs";
+import { checkTargets, buildBrokenLinkRows, writeBrokenLinkReport } from "./broken-links.mjs";
+import { collectAllUrls } from "./extract-urls.mjs";
+import { diffSitemapAndCrawl, writeSitemapDiffReport } from "./sitemap-diff.mjs";
+import { parseCount, parseRate } from "./cli-options.mjs";
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; URL-Crawler/1.0)';
+// The name robots.txt rules address this crawler by
+const ROBOTS_TOKEN = 'URL-Crawler';
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    concurrency: { type: 'string' },
+    rps: { type: 'string' },
+    'ignore-robots': { type: 'boolean' },
+    state: { type: 'string' },
+    'broken-links': { type: 'boolean' },
+    'check-external': { type: 'boolean' },
+    'sitemap-diff': { type: 'boolean' }
+  }
+});
+
+// Pages are taken off the queue this many at a time, so 0 or a typo would never empty it.
+// A typo in --rps would quietly turn the rate limit off.
+let concurrency, requestsPerSecond;
+try {
+  concurrency = parseCount(args.concurrency, '--concurrency');
+  requestsPerSecond = parseRate(args.rps, '--rps');
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 // Create readline interface for user input
 const rl = readline.createInterface({
@@ -19,29 +66,16 @@ function askQuestion(question) {
   });
 }
 
-// Validate and normalize URL
-function normalizeUrl(url, baseUrl) {
-  if (!url) return null;
-  
+// Resolve a link against the page it was found on; null for anything that isn't an http(s) page
+function resolveUrl(href, base) {
+  if (!href) return null;
+
   try {
-    // If it's already a full URL, return it
-    if (url.startsWith('http://') || url.startsWith('https://')) {
-      return new URL(url).href;
-    }
-    
-    // If it starts with //, add the protocol from baseUrl
-    if (url.startsWith('//')) {
-      return new URL(baseUrl.protocol + url).href;
-    }
-    
-    // If it starts with /, it's an absolute path
-    if (url.startsWith('/')) {
-      return new URL(url, baseUrl.origin).href;
-    }
-    
-    // Otherwise, it's a relative path
-    return new URL(url, baseUrl.href).href;
-  } catch (error) {
+    const url = new URL(href.trim(), base);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = ''; // "/page#section" is the same page as "/page"
+    return url.href;
+  } catch {
     return null;
   }
 }
@@ -56,106 +90,49 @@ function isSameDomain(url, baseUrl) {
   }
 }
 
-// Extract URLs from HTML content
-function extractUrls(html, baseUrl) {
-  const urls = new Set();
-  
-  // Extract href attributes from <a> tags
-  const hrefMatches = [...html.matchAll(/<a[^>]+href\s*=\s*["']([^"']+)["'][^>]*>/gi)];
-  hrefMatches.forEach(match => {
-    const url = normalizeUrl(match[1], baseUrl);
-    if (url && isSameDomain(url, baseUrl) && isValidUrl(url)) {
-      urls.add(url);
-    }
-  });
-  
-  // Extract src attributes from <img> tags
-  const srcMatches = [...html.matchAll(/<img[^>]+src\s*=\s*["']([^"']+)["'][^>]*>/gi)];
-  srcMatches.forEach(match => {
-    const url = normalizeUrl(match[1], baseUrl);
-    if (url && isSameDomain(url, baseUrl) && isValidUrl(url)) {
-      urls.add(url);
-    }
-  });
-  
-  // Extract action attributes from <form> tags
-  const actionMatches = [...html.matchAll(/<form[^>]+action\s*=\s*["']([^"']+)["'][^>]*>/gi)];
-  actionMatches.forEach(match => {
-    const url = normalizeUrl(match[1], baseUrl);
-    if (url && isSameDomain(url, baseUrl) && isValidUrl(url)) {
-      urls.add(url);
-    }
-  });
-  
-  // Extract URLs from JavaScript (more specific patterns)
-  const jsMatches = [...html.matchAll(/["']([^"']*\/[^"']*\.(html|php|asp|jsp|htm|aspx))["']/gi)];
-  jsMatches.forEach(match => {
-    const url = normalizeUrl(match[1], baseUrl);
-    if (url && isSameDomain(url, baseUrl) && isValidUrl(url)) {
-      urls.add(url);
-    }
-  });
-  
-  // Extract URLs from data attributes
-  const dataMatches = [...html.matchAll(/data-[^=]*\s*=\s*["']([^"']*\/[^"']*)["']/gi)];
-  dataMatches.forEach(match => {
-    const url = normalizeUrl(match[1], baseUrl);
-    if (url && isSameDomain(url, baseUrl) && isValidUrl(url)) {
-      urls.add(url);
-    }
-  });
-  
-  return [...urls];
-}
+const relTokens = element => (element.getAttribute('rel') || '').toLowerCase().split(/\s+/);
 
-// Validate if URL looks like a real URL path
-function isValidUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    const pathname = urlObj.pathname;
-    
-    // Skip URLs that contain HTML entities or look like HTML content
-    if (pathname.includes('%3E') || pathname.includes('%3C') || pathname.includes('%20')) {
-      return false;
-    }
-    
-    // Skip URLs that contain HTML tags
-    if (pathname.includes('<') || pathname.includes('>')) {
-      return false;
-    }
-    
-    // Skip URLs that are just HTML content
-    if (pathname.match(/^\/[^\/]*[<>]/)) {
-      return false;
-    }
-    
-    // Skip URLs that contain JavaScript or CSS content
-    if (pathname.includes('class=') || pathname.includes('id=') || pathname.includes('style=')) {
-      return false;
-    }
-    
-    // Skip URLs that are too long (likely HTML content)
-    if (pathname.length > 200) {
-      return false;
-    }
-    
-    // Skip URLs that contain multiple consecutive special characters
-    if (pathname.match(/[%]{2,}/)) {
-      return false;
-    }
-    
-    return true;
-  } catch {
-    return false;
+// Parse the page and pull out its links and canonical URL
+function extractLinks(html, pageUrl) {
+  const root = parse(html);
+
+  // <base href> changes what every relative URL on the page resolves against
+  const baseHref = root.querySelector('base[href]')?.getAttribute('href');
+  const documentBase = resolveUrl(baseHref, pageUrl) || pageUrl;
+
+  // <meta name="robots" content="nofollow"> applies to every link on the page
+  const robotsMeta = root.querySelectorAll('meta[name]')
+    .find(meta => meta.getAttribute('name').toLowerCase() === 'robots');
+  const pageNofollow = /\bnofollow\b/i.test(robotsMeta?.getAttribute('content') || '');
+
+  const links = [];
+  for (const anchor of root.querySelectorAll('a[href], area[href]')) {
+    const url = resolveUrl(anchor.getAttribute('href'), documentBase);
+    if (!url) continue;
+
+    links.push({
+      url,
+      nofollow: pageNofollow || relTokens(anchor).includes('nofollow'),
+      text: anchor.text.replace(/\s+/g, ' ').trim()
+    });
   }
+
+  const canonicalLink = root.querySelectorAll('link[rel][href]')
+    .find(link => relTokens(link).includes('canonical'));
+  const canonical = canonicalLink ? resolveUrl(canonicalLink.getAttribute('href'), documentBase) : null;
+
+  return { links, canonical };
 }
 
-// Fetch page content with error handling
+// Fetch page content with error handling.
+// html is null for responses that work but aren't pages (PDFs, images...).
+// Failures carry the HTTP status (or "timeout"/"error") in error.status.
 async function fetchPage(url) {
   try {
     const response = await fetch(url, {
+      signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS),
       headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; URL-Crawler/1.0)',
+        'User-Agent': USER_AGENT,
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         'Accept-Language': 'en-US,en;q=0.5',
         'Accept-Encoding': 'gzip, deflate',
@@ -164,81 +141,231 @@ async function fetchPage(url) {
     });
     
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+      throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
     }
     
     const contentType = response.headers.get('content-type') || '';
     if (!contentType.includes('text/html')) {
-      throw new Error(`Not HTML content: ${contentType}`);
+      await response.body?.cancel();
+      return { status: response.status, html: null, finalUrl: response.url || url };
     }
     
-    return await response.text();
+    // Links resolve against where we ended up after redirects
+    return { status: response.status, html: await response.text(), finalUrl: response.url || url };
   } catch (error) {
-    throw new Error(`Failed to fetch ${url}: ${error.message}`);
+    const status = error.status ?? (error.name === 'TimeoutError' ? 'timeout' : 'error');
+    throw Object.assign(new Error(`Failed to fetch ${url}: ${error.message}`), { status });
   }
 }
 
-// Crawl website and discover URLs
-async function crawlWebsite(startUrl, maxPages = 100, maxDepth = 3) {
+// Turn crawl state into plain JSON and back, so it can be saved to disk and resumed
+function serializeState(state, inFlight) {
+  return {
+    startUrl: state.startUrl,
+    maxPages: state.maxPages,
+    maxDepth: state.maxDepth,
+    // Pages that were mid-fetch go back to the front of the queue
+    queue: [...inFlight, ...state.queue],
+    queued: [...state.queued],
+    discovered: [...state.discovered],
+    canonicalOf: [...state.canonicalOf],
+    disallowed: [...state.disallowed],
+    links: [...state.links],
+    statuses: [...state.statuses],
+    errors: state.errors,
+    pagesProcessed: state.pagesProcessed - inFlight.length,
+    savedAt: new Date().toISOString()
+  };
+}
+
+function deserializeState(saved) {
+  return {
+    ...saved,
+    queued: new Set(saved.queued),
+    discovered: new Map(saved.discovered),
+    canonicalOf: new Map(saved.canonicalOf),
+    disallowed: new Set(saved.disallowed),
+    links: new Map(saved.links),
+    statuses: new Map(saved.statuses)
+  };
+}
+
+// Read a saved crawl, or null if there is none
+async function loadCrawlState(statePath) {
+  try {
+    return JSON.parse(await fs.readFile(statePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Crawl website breadth-first and discover URLs.
+// The start page is depth 0; pages up to maxDepth link hops away are crawled.
+//
+// options:
+//   concurrency        pages fetched at the same time (default 5)
+//   requestsPerSecond  upper limit on request starts per second (default 5, 0 = no limit)
+//   respectRobots      obey robots.txt Disallow rules and Crawl-delay (default true)
+//   statePath          file the crawl is saved to after every batch and on Ctrl-C
+//   resumeFrom         a saved state (from loadCrawlState) to continue instead of starting over
+async function crawlWebsite(startUrl, maxPages = 100, maxDepth = 3, options = {}) {
+  const {
+    concurrency = 5,
+    requestsPerSecond = 5,
+    respectRobots = true,
+    statePath = null,
+    resumeFrom = null
+  } = options;
+
   const baseUrl = new URL(startUrl);
-  const visited = new Set();
-  const toVisit = new Set([startUrl]);
-  const discoveredUrls = new Set();
-  const errors = [];
-  
-  let pagesProcessed = 0;
-  let currentDepth = 0;
+  const start = resolveUrl(startUrl, startUrl);
+  const state = resumeFrom ? deserializeState(resumeFrom) : {
+    startUrl,
+    maxPages,
+    maxDepth,
+    queue: [{ url: start, depth: 0 }],
+    queued: new Set([start]),
+    // url -> { depth, discoveredOn } for the first (shallowest) place each URL was seen
+    discovered: new Map([[start, { depth: 0, discoveredOn: '' }]]),
+    // crawled url -> the canonical URL it declares, when that's a different page
+    canonicalOf: new Map(),
+    // URLs robots.txt doesn't let us crawl
+    disallowed: new Set(),
+    // every link target (internal and external) -> [{ source, text }] for the broken link report
+    links: new Map(),
+    // crawled url -> { status, error, html, finalUrl }
+    statuses: new Map(),
+    errors: [],
+    pagesProcessed: 0
+  };
   
-  console.log(`🕷️  Starting crawl of ${startUrl}`);
-  console.log(`📊 Max pages: ${maxPages}, Max depth: ${maxDepth}\n`);
+  console.log(`🕷️  ${resumeFrom ? 'Resuming' : 'Starting'} crawl of ${startUrl}`);
+  console.log(`📊 Max pages: ${maxPages}, Max depth: ${maxDepth}, Concurrency: ${concurrency}\n`);
+
+  let robots = null;
+  let rps = requestsPerSecond;
+  if (respectRobots) {
+    robots = await fetchRobots(baseUrl.origin, USER_AGENT, ROBOTS_TOKEN);
+    // Crawl-delay is seconds between requests; honor it when it's stricter than our own limit
+    if (robots.crawlDelay) {
+      rps = rps > 0 ? Math.min(rps, 1 / robots.crawlDelay) : 1 / robots.crawlDelay;
+      console.log(`🤖 robots.txt asks for ${robots.crawlDelay}s between requests`);
+    }
+  } else {
+    console.log(`🤖 Ignoring robots.txt`);
+  }
+  const waitForSlot = createRateLimiter(rps);
+
+  function record(url, depth, discoveredOn) {
+    if (!state.discovered.has(url)) state.discovered.set(url, { depth, discoveredOn });
+    if (depth > maxDepth || state.queued.has(url)) return;
+
+    state.queued.add(url);
+    if (robots && !robots.isAllowed(url)) {
+      state.disallowed.add(url);
+      return;
+    }
+    state.queue.push({ url, depth });
+  }
+
+  function recordLink(target, source, text) {
+    if (!state.links.has(target)) state.links.set(target, []);
+    const sources = state.links.get(target);
+    if (!sources.some(link => link.source === source && link.text === text)) sources.push({ source, text });
+  }
+
+  // Save progress on Ctrl-C so the crawl can pick up where it stopped
+  let inFlight = [];
+  const saveState = async () => {
+    if (!statePath) return;
+    await fs.writeFile(statePath, JSON.stringify(serializeState(state, inFlight)), "utf8");
+  };
+  const onInterrupt = async () => {
+    await saveState();
+    console.log(`\n💾 Crawl interrupted. Progress saved to ${statePath}, run the same command again to resume.`);
+    process.exit(130);
+  };
+  if (statePath) process.once('SIGINT', onInterrupt);
+
+  if (!resumeFrom && robots && !robots.isAllowed(start)) {
+    console.log(`⚠️  robots.txt disallows the start page, use --ignore-robots to crawl your own site anyway`);
+    state.queue = [];
+    state.disallowed.add(start);
+  }
   
-  while (toVisit.size > 0 && pagesProcessed < maxPages) {
-    const currentBatch = Array.from(toVisit).slice(0, 10); // Process in batches of 10
-    currentBatch.forEach(url => toVisit.delete(url));
+  while (state.queue.length > 0 && state.pagesProcessed < maxPages) {
+    // The queue is FIFO, so each batch finishes a depth before starting the next one
+    const currentBatch = state.queue.splice(0, Math.min(concurrency, maxPages - state.pagesProcessed));
+    inFlight = currentBatch;
     
-    const promises = currentBatch.map(async (url) => {
-      if (visited.has(url)) return;
-      
-      visited.add(url);
-      pagesProcessed++;
+    const promises = currentBatch.map(async ({ url, depth }) => {
+      const pageNumber = ++state.pagesProcessed;
+      await waitForSlot();
       
-      console.log(`📄 [${pagesProcessed}/${maxPages}] Crawling: ${url}`);
+      console.log(`📄 [${pageNumber}/${maxPages}] Crawling (depth ${depth}): ${url}`);
       
       try {
-        const html = await fetchPage(url);
-        const foundUrls = extractUrls(html, baseUrl);
-        
-        console.log(`  🔗 Found ${foundUrls.length} URLs`);
-        
-        foundUrls.forEach(foundUrl => {
-          discoveredUrls.add(foundUrl);
-          
-          // Add new URLs to visit queue if we haven't reached max depth
-          const urlDepth = (url.match(/\//g) || []).length - 2; // Rough depth calculation
-          if (urlDepth < maxDepth && !visited.has(foundUrl)) {
-            toVisit.add(foundUrl);
-          }
-        });
+        const { status, html, finalUrl } = await fetchPage(url);
+        state.statuses.set(url, { status, error: null, html: html !== null, finalUrl });
+        if (html === null) {
+          console.log(`  📎 Not an HTML page, nothing to follow`);
+          return;
+        }
+        const { links, canonical } = extractLinks(html, finalUrl);
+        links.forEach(link => recordLink(link.url, url, link.text));
+
+        // A page pointing at another canonical URL is a duplicate; crawl the canonical one instead
+        if (canonical && canonical !== url && isSameDomain(canonical, baseUrl)) {
+          state.canonicalOf.set(url, canonical);
+          record(canonical, depth, url);
+        }
+
+        const followable = links.filter(link => !link.nofollow && isSameDomain(link.url, baseUrl));
+        console.log(`  🔗 Found ${followable.length} links (${links.length - followable.length} nofollow/external skipped)`);
         
-        // Add a small delay to be respectful
-        await new Promise(resolve => setTimeout(resolve, 100));
+        followable.forEach(link => record(link.url, depth + 1, url));
         
       } catch (error) {
         console.log(`  ❌ Error: ${error.message}`);
-        errors.push({ url, error: error.message });
+        state.errors.push({ url, error: error.message });
+        // An HTTP status says it all; keep the message for timeouts and network errors
+        state.statuses.set(url, { status: error.status, error: typeof error.status === 'number' ? null : error.message });
       }
     });
     
     await Promise.all(promises);
+    inFlight = [];
+    await saveState();
     
-    console.log(`📈 Progress: ${discoveredUrls.size} URLs discovered, ${toVisit.size} remaining\n`);
+    console.log(`📈 Progress: ${state.discovered.size} URLs discovered, ${state.queue.length} remaining\n`);
+  }
+
+  // Finished: the saved state is no longer needed
+  if (statePath) {
+    process.removeListener('SIGINT', onInterrupt);
+    await fs.rm(statePath, { force: true });
   }
+
+  if (state.disallowed.size > 0) {
+    console.log(`🤖 Skipped ${state.disallowed.size} URLs disallowed by robots.txt`);
+  }
+
+  // Leave out pages that declared a different canonical URL, the canonical stands in for them
+  const urls = [...state.discovered.keys()].filter(url => !state.canonicalOf.has(url)).sort();
   
   return {
-    urls: [...discoveredUrls].sort(),
-    errors,
-    pagesProcessed,
-    totalDiscovered: discoveredUrls.size
+    urls,
+    sources: urls.map(url => ({ url, ...state.discovered.get(url) })),
+    links: state.links,
+    statuses: state.statuses,
+    canonicalOf: state.canonicalOf,
+    robots,
+    requestsPerSecond: rps,
+    errors: state.errors,
+    pagesProcessed: state.pagesProcessed,
+    // false when maxPages ran out before the queue did
+    complete: state.queue.length === 0,
+    totalDiscovered: urls.length
   };
 }
 
@@ -263,7 +390,6 @@ function extractPathnames(urls, baseUrl) {
           return "/";
         }
       })
-      .filter(pathname => isValidPathname(pathname))
   )].sort();
 }
 
@@ -287,59 +413,19 @@ function cleanPathname(pathname) {
   return pathname;
 }
 
-// Validate if pathname looks like a real URL path
-function isValidPathname(pathname) {
-  // Skip empty or invalid pathnames
-  if (!pathname || pathname === '/') {
-    return true; // Keep root path
-  }
-  
-  // Skip pathnames that contain HTML entities
-  if (pathname.includes('%3E') || pathname.includes('%3C') || pathname.includes('%20')) {
-    return false;
-  }
-  
-  // Skip pathnames that contain HTML tags
-  if (pathname.includes('<') || pathname.includes('>')) {
-    return false;
-  }
-  
-  // Skip pathnames that are just HTML content
-  if (pathname.match(/^\/[^\/]*[<>]/)) {
-    return false;
-  }
-  
-  // Skip pathnames that contain JavaScript or CSS content
-  if (pathname.includes('class=') || pathname.includes('id=') || pathname.includes('style=')) {
-    return false;
-  }
-  
-  // Skip pathnames that are too long (likely HTML content)
-  if (pathname.length > 200) {
-    return false;
-  }
-  
-  // Skip pathnames that contain multiple consecutive special characters
-  if (pathname.match(/[%]{2,}/)) {
-    return false;
-  }
-  
-  // Skip pathnames that look like HTML attributes
-  if (pathname.match(/^\/[^\/]*=/) || pathname.match(/^\/[^\/]*\s/)) {
-    return false;
-  }
-  
-  return true;
-}
-
 // Main function
 async function main() {
   console.log("🕷️  Web Crawler - URL Pathname Discovery");
   console.log("==========================================\n");
 
   try {
+    // A site config supplies the base URL and the include/exclude rules for the result
+    const siteConfig = positionals[0]
+      ? loadSiteConfig(path.resolve(positionals[0]), { requirePaths: false })
+      : null;
+
     // Get website URL from user
-    let websiteUrl;
+    let websiteUrl = siteConfig ? siteConfig.base : null;
     while (!websiteUrl) {
       const input = await askQuestion("Enter website URL (e.g., example.com or https://example.com): ");
       websiteUrl = input.trim();
@@ -362,18 +448,40 @@ async function main() {
       }
     }
 
+    // Offer to continue an interrupted crawl of the same site
+    const statePath = args.state || `crawl-state-${new URL(websiteUrl).hostname}.json`;
+    const saved = await loadCrawlState(statePath);
+    let resumeFrom = null;
+    if (saved) {
+      const answer = await askQuestion(`Resume the crawl saved at ${saved.savedAt} (${saved.pagesProcessed} pages done)? (Y/n): `);
+      if (!/^n/i.test(answer.trim())) resumeFrom = saved;
+    }
+
     // Get crawling parameters
-    const maxPagesInput = await askQuestion("Max pages to crawl (default: 50): ");
-    const maxPages = maxPagesInput.trim() ? parseInt(maxPagesInput) : 50;
-    
-    const maxDepthInput = await askQuestion("Max crawl depth (default: 2): ");
-    const maxDepth = maxDepthInput.trim() ? parseInt(maxDepthInput) : 2;
+    let maxPages = resumeFrom?.maxPages;
+    let maxDepth = resumeFrom?.maxDepth;
+    if (!resumeFrom) {
+      const maxPagesInput = await askQuestion("Max pages to crawl (default: 50): ");
+      maxPages = maxPagesInput.trim() ? parseInt(maxPagesInput) : 50;
+      
+      const maxDepthInput = await askQuestion("Max crawl depth (default: 2): ");
+      maxDepth = maxDepthInput.trim() ? parseInt(maxDepthInput) : 2;
+    }
+
+    // Done asking questions; let Ctrl-C reach the crawler so it can save its progress
+    rl.close();
 
     console.log(`\n✅ Starting crawl of: ${websiteUrl}`);
     console.log(`📊 Max pages: ${maxPages}, Max depth: ${maxDepth}\n`);
 
     // Start crawling
-    const result = await crawlWebsite(websiteUrl, maxPages, maxDepth);
+    const result = await crawlWebsite(websiteUrl, maxPages, maxDepth, {
+      concurrency,
+      requestsPerSecond,
+      respectRobots: !args['ignore-robots'],
+      statePath,
+      resumeFrom
+    });
 
     if (result.urls.length === 0) {
       console.log("❌ No URLs discovered. The website might be inaccessible or have no crawlable content.");
@@ -389,20 +497,76 @@ async function main() {
 
     // Extract pathnames
     const baseUrl = new URL(websiteUrl);
-    const pathnames = extractPathnames(result.urls, baseUrl);
+    const pathnames = siteConfig
+      ? filterPaths(extractPathnames(result.urls, baseUrl), siteConfig)
+      : extractPathnames(result.urls, baseUrl);
 
     // Save to url.txt
     await fs.writeFile("url.txt", pathnames.join("\n"), "utf8");
 
+    // Save where each URL was first found and how many link hops from the start page it is
+    const sourceLines = result.sources.map(({ url, depth, discoveredOn }) =>
+      [url, depth, discoveredOn].map(value => `"${String(value).replace(/"/g, '""')}"`).join(",")
+    );
+    await fs.writeFile("url-sources.csv", ["url,depth,discoveredOn", ...sourceLines].join("\n"), "utf8");
+
     console.log(`\n✅ Crawl Complete!`);
     console.log(`📊 Pages processed: ${result.pagesProcessed}`);
     console.log(`🔗 URLs discovered: ${result.totalDiscovered}`);
     console.log(`🛤️  Unique pathnames: ${pathnames.length}`);
     console.log(`💾 Saved pathnames to url.txt`);
+    console.log(`💾 Saved discovery sources to url-sources.csv`);
     
     if (result.errors.length > 0) {
       console.log(`⚠️  Errors encountered: ${result.errors.length}`);
     }
+
+    if (args['broken-links']) {
+      // Link targets the crawl didn't fetch (past the depth/page limit, or on other sites) still need a check
+      const unchecked = [...result.links.keys()].filter(url => {
+        if (result.statuses.has(url)) return false;
+        if (!isSameDomain(url, baseUrl)) return Boolean(args['check-external']);
+        return !result.robots || result.robots.isAllowed(url);
+      });
+
+      console.log(`\n🔎 Checking ${unchecked.length} links the crawl didn't visit...`);
+      const checked = await checkTargets(unchecked, {
+        concurrency,
+        requestsPerSecond: result.requestsPerSecond,
+        userAgent: USER_AGENT
+      });
+
+      const rows = buildBrokenLinkRows(result.links, new Map([...result.statuses, ...checked]));
+      const { pages, targets } = await writeBrokenLinkReport(rows);
+      console.log(`💔 ${targets} broken link target(s) on ${pages} page(s), saved to broken-links.csv / broken-links.json`);
+    }
+
+    if (args['sitemap-diff']) {
+      console.log(`\n🗺️  Comparing the crawl with the sitemaps...`);
+      if (!result.complete) {
+        console.log(`⚠️  The crawl stopped at ${maxPages} pages, sitemap pages it didn't get to will show up as orphans`);
+      }
+
+      const isIncluded = siteConfig
+        ? url => filterPaths([new URL(url).pathname], siteConfig).length > 0
+        : undefined;
+      const sitemapUrls = await collectAllUrls(baseUrl.origin);
+      const toCheck = sitemapUrls.filter(url => URL.canParse(url) && (!isIncluded || isIncluded(url)));
+
+      // Don't follow redirects: a sitemap entry that redirects is itself a problem
+      console.log(`🔎 Checking ${toCheck.length} sitemap entries...`);
+      const sitemapStatuses = await checkTargets(toCheck, {
+        concurrency,
+        requestsPerSecond: result.requestsPerSecond,
+        userAgent: USER_AGENT,
+        redirect: 'manual'
+      });
+
+      const diff = diffSitemapAndCrawl(sitemapUrls, result, sitemapStatuses, { startUrl: websiteUrl, isIncluded });
+      await writeSitemapDiffReport(diff);
+      console.log(`🗺️  ${diff.orphans.length} orphan page(s), ${diff.unlisted.length} unlisted page(s), ${diff.notOk.length} sitemap entries not returning 200`);
+      console.log(`💾 Saved the comparison to sitemap-diff.csv / sitemap-diff.json`);
+    }
     
     // Show first few pathnames as preview
     if (pathnames.length > 0) {
@@ -0,0 +1,213 @@
+// Write index.html for a run: one self-contained page (no external CSS, JS or fonts) with a
+// sortable, filterable table of every path × profile that links to its full report
+
+import fs from 'fs';
+import path from 'path';
+import { CATEGORIES, METRICS } from './summary.mjs';
+
+const CATEGORY_LABELS = {
+  performance: 'Performance',
+  accessibility: 'Accessibility',
+  bestPractices: 'Best Practices',
+  seo: 'SEO'
+};
+
+// Good / needs improvement limits for each metric, the same as the Core Web Vitals and the
+// Lighthouse metric colors. Above the second number is poor.
+const METRIC_THRESHOLDS = {
+  lcp: { label: 'LCP', good: 2500, poor: 4000 },
+  cls: { label: 'CLS', good: 0.1, poor: 0.25 },
+  tbt: { label: 'TBT', good: 200, poor: 600 },
+  fcp: { label: 'FCP', good: 1800, poor: 3000 },
+  speedIndex: { label: 'Speed Index', good: 3400, poor: 5800 },
+  ttfb: { label: 'TTFB', good: 800, poor: 1800 }
+};
+
+// Lighthouse's own colors: 90-100 pass, 50-89 average, 0-49 fail
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 24px; color: #212121; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .meta { color: #5f6368; margin-bottom: 16px; }
+  .controls { display: flex; gap: 12px; margin-bottom: 12px; }
+  .controls input { flex: 1; max-width: 360px; }
+  .controls input, .controls select { padding: 6px 8px; font-size: 14px; }
+  table { border-collapse: collapse; font-size: 14px; }
+  th, td { padding: 6px 10px; border-bottom: 1px solid #e0e0e0; text-align: right; white-space: nowrap; }
+  th:first-child, td:first-child, .text { text-align: left; }
+  th { cursor: pointer; user-select: none; background: #f5f5f5; position: sticky; top: 0; }
+  th[aria-sort="ascending"]::after { content: " ▲"; }
+  th[aria-sort="descending"]::after { content: " ▼"; }
+  tbody tr:hover { background: #fafafa; }
+  a { color: #1a73e8; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+  .pass { color: #008800; }
+  .average { color: #c33300; }
+  .fail { color: #cc0000; }
+  .score { display: inline-block; min-width: 28px; padding: 2px 6px; border-radius: 10px; text-align: center; font-weight: 600; }
+  .score.pass { background: #e6f4ea; }
+  .score.average { background: #fff3e0; }
+  .score.fail { background: #fce8e6; }
+  .unstable, .mode { color: #5f6368; font-size: 12px; }
+  .failed { margin-top: 24px; color: #cc0000; }
+`;
+
+// Sort on click (numbers as numbers, empty cells last) and filter on the path and profile
+const SCRIPT = `
+  const table = document.querySelector('table');
+  const tbody = table.querySelector('tbody');
+  const search = document.getElementById('search');
+  const profile = document.getElementById('profile');
+
+  table.querySelectorAll('th').forEach((th, column) => {
+    th.addEventListener('click', () => {
+      const descending = th.getAttribute('aria-sort') === 'ascending';
+      table.querySelectorAll('th').forEach(other => other.removeAttribute('aria-sort'));
+      th.setAttribute('aria-sort', descending ? 'descending' : 'ascending');
+      const value = row => row.children[column].dataset.sort ?? row.children[column].textContent;
+      const rows = [...tbody.rows].sort((a, b) => {
+        const x = value(a), y = value(b);
+        if (x === '' || y === '') return (x === '') - (y === '');
+        const order = isNaN(x) || isNaN(y) ? x.localeCompare(y) : x - y;
+        return descending ? -order : order;
+      });
+      tbody.append(...rows);
+    });
+  });
+
+  function filter() {
+    const text = search.value.trim().toLowerCase();
+    let shown = 0;
+    for (const row of tbody.rows) {
+      const visible = row.dataset.search.includes(text) && (!profile.value || row.dataset.profile === profile.value);
+      row.hidden = !visible;
+      if (visible) shown++;
+    }
+    document.getElementById('count').textContent = shown;
+  }
+  search.addEventListener('input', filter);
+  profile.addEventListener('change', filter);
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function scoreRating(score) {
+  if (score >= 90) return 'pass';
+  if (score >= 50) return 'average';
+  return 'fail';
+}
+
+function metricRating(column, value) {
+  const { good, poor } = METRIC_THRESHOLDS[column];
+  if (value <= good) return 'pass';
+  if (value <= poor) return 'average';
+  return 'fail';
+}
+
+// "2,345 ms" / "1.2 s" the way the Lighthouse report shows them, CLS as it is
+function formatMetric(column, value) {
+  if (column === 'cls') return value.toFixed(3);
+  return value >= 1000 ? `${(value / 1000).toFixed(1)} s` : `${value} ms`;
+}
+
+function scoreCell(score) {
+  if (typeof score !== 'number') return '<td data-sort=""></td>';
+  return `<td data-sort="${score}"><span class="score ${scoreRating(score)}">${score}</span></td>`;
+}
+
+function metricCell(column, value) {
+  if (typeof value !== 'number') return '<td data-sort=""></td>';
+  return `<td data-sort="${value}" class="${metricRating(column, value)}">${formatMetric(column, value)}</td>`;
+}
+
+// The plugin category score, with the checks that failed under it
+function siteChecksCell(row) {
+  const failed = row.failedChecks ? `<div class="mode">${escapeHtml(row.failedChecks.split(' ').join(', '))}</div>` : '';
+  return scoreCell(row.siteChecks).replace('</td>', `${failed}</td>`);
+}
+
+function tableRow(row, { showTemplate, showSiteChecks }) {
+  const pathCell = row.report
+    ? `<a href="${escapeHtml(encodeURI(row.report))}">${escapeHtml(row.path)}</a>`
+    : escapeHtml(row.path);
+  const unstable = row.unstable ? ` <span class="unstable" title="Varied too much between runs">unstable: ${escapeHtml(row.unstable)}</span>` : '';
+  const mode = row.flow ? ` <span class="mode" title="User flow step">${escapeHtml(row.mode)}</span>` : '';
+
+  return `<tr data-profile="${escapeHtml(row.profile)}" data-search="${escapeHtml(`${row.path} ${row.profile} ${row.template || ''}`.toLowerCase())}">
+      <td data-sort="${escapeHtml(row.path)}">${pathCell}${mode}${unstable}</td>
+      <td class="text">${escapeHtml(row.profile)}</td>
+      ${showTemplate ? `<td class="text">${escapeHtml(row.template)}</td>` : ''}
+      ${Object.values(CATEGORIES).map(column => scoreCell(row[column])).join('')}
+      ${showSiteChecks ? siteChecksCell(row) : ''}
+      ${Object.values(METRICS).map(column => metricCell(column, row[column])).join('')}
+    </tr>`;
+}
+
+// rows: summary rows with "report" set to the HTML report's file name in outputDir.
+// failed: [{ path, profile, error }] for audits that didn't produce a report.
+function writeDashboard(rows, outputDir, { site, base, timestamp, failed = [] }) {
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+
+  const showTemplate = rows.some(row => row.template);
+  const showSiteChecks = rows.some(row => row.siteChecks !== undefined);
+  const profiles = [...new Set(rows.map(row => row.profile))];
+  // Pages by path, then the user flows with their steps in order
+  const sorted = [...rows].sort((a, b) =>
+    Boolean(a.flow) - Boolean(b.flow) ||
+    (a.flow ? a.flow.localeCompare(b.flow) || a.profile.localeCompare(b.profile) || a.step - b.step : 0) ||
+    a.path.localeCompare(b.path) ||
+    a.profile.localeCompare(b.profile)
+  );
+  const headers = [
+    'Path',
+    'Profile',
+    ...(showTemplate ? ['Template'] : []),
+    ...Object.values(CATEGORIES).map(column => CATEGORY_LABELS[column]),
+    ...(showSiteChecks ? ['Site checks'] : []),
+    ...Object.values(METRICS).map(column => METRIC_THRESHOLDS[column].label)
+  ];
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Lighthouse reports – ${escapeHtml(site)} – ${escapeHtml(timestamp)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <h1>Lighthouse reports for ${escapeHtml(site)}</h1>
+  <div class="meta">${escapeHtml(base)} · ${escapeHtml(timestamp)} · <span id="count">${rows.length}</span> of ${rows.length} audits shown</div>
+  <div class="controls">
+    <input id="search" type="search" placeholder="Filter by path or template" aria-label="Filter by path or template">
+    <select id="profile" aria-label="Profile">
+      <option value="">All profiles</option>
+      ${profiles.map(profile => `<option>${escapeHtml(profile)}</option>`).join('')}
+    </select>
+  </div>
+  <table>
+    <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+    <tbody>
+    ${sorted.map(row => tableRow(row, { showTemplate, showSiteChecks })).join('\n    ')}
+    </tbody>
+  </table>
+  ${failed.length > 0 ? `<div class="failed">
+    <strong>${failed.length} audit(s) failed:</strong>
+    <ul>${failed.map(({ path: pathname, profile, error }) => `<li>${escapeHtml(pathname)} (${escapeHtml(profile)}): ${escapeHtml(error)}</li>`).join('')}</ul>
+  </div>` : ''}
+  <script>${SCRIPT}</script>
+</body>
+</html>
+`;
+
+  const indexPath = path.resolve(outputDir, 'index.html');
+  fs.writeFileSync(indexPath, html);
+  return indexPath;
+}
+
+export { writeDashboard };
@@ -1,20 +1,26 @@
 #!/usr/bin/env node
 
 // Interactive URL pathname extractor
-// Usage: node extract-urls.mjs
+// Usage: node extract-urls.mjs [site-config.json] [--validate] [--skip-page-checks] [--concurrency <n>] [--rps <n>]
+//   --validate          check the sitemaps instead of saving pathnames, writes sitemap-validation-*.csv/.json
+//   --skip-page-checks  with --validate, don't fetch every listed page to check for redirects and canonicals
+//   --concurrency       pages checked at the same time (default 5)
+//   --rps               most page checks started per second (default 5, 0 = no limit)
 
 import fs from "fs/promises";
+import path from "path";
 import zlib from "zlib";
-import { promisify } from "util";
+import { promisify, parseArgs } from "util";
 import readline from "readline";
+import { pathToFileURL } from "url";
+import { loadSiteConfig, filterPaths } from "./site-config.mjs";
+import { createSitemapValidator, checkEntryPages, addIssueCounts, writeSitemapValidationReport } from "./sitemap-validate.mjs";
+import { parseCount, parseRate } from "./cli-options.mjs";
 
 const gunzip = promisify(zlib.gunzip);
 
-// Create readline interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Readline interface for user input, created when the script runs (not when it's imported)
+let rl;
 
 // Helper function to prompt user for input
 function askQuestion(question) {
@@ -51,11 +57,11 @@ async function fetchBuf(url) {
   try {
     const res = await fetch(url);
     if (!res.ok) {
-      throw new Error(`HTTP ${res.status} for ${url}`);
+      throw Object.assign(new Error(`HTTP ${res.status} for ${url}`), { status: res.status });
     }
     return Buffer.from(await res.arrayBuffer());
   } catch (error) {
-    throw new Error(`Failed to fetch ${url}: ${error.message}`);
+    throw Object.assign(new Error(`Failed to fetch ${url}: ${error.message}`), { status: error.status });
   }
 }
 
@@ -82,13 +88,16 @@ async function getRobotsSitemaps(baseUrl) {
   const lines = [...txt.matchAll(/^\s*sitemap:\s*(.+)\s*$/gmi)].map(m => m[1].trim());
   
   // Fallback to common sitemap locations if robots.txt has none
-  const fallbackSitemaps = [
+  return lines.length ? lines : fallbackSitemaps(baseUrl);
+}
+
+// Common sitemap locations, tried when robots.txt doesn't list any
+function fallbackSitemaps(baseUrl) {
+  return [
     `${baseUrl}/sitemap.xml`,
     `${baseUrl}/sitemap_index.xml`,
     `${baseUrl}/sitemap-index.xml`
   ];
-  
-  return lines.length ? lines : fallbackSitemaps;
 }
 
 // Collect all URLs from sitemaps
@@ -133,6 +142,59 @@ async function collectAllUrls(baseUrl) {
   return [...urls].sort();
 }
 
+// Check every sitemap (following sitemap indexes) and, unless skipPageChecks is set,
+// every page they list. Returns { summaries, badEntries }.
+async function validateAllSitemaps(baseUrl, { skipPageChecks = false, concurrency, requestsPerSecond } = {}) {
+  console.log(`🔍 Validating sitemaps for ${baseUrl}...`);
+
+  const queue = await getRobotsSitemaps(baseUrl);
+  const guessed = new Set(fallbackSitemaps(baseUrl));
+  const validator = createSitemapValidator(baseUrl);
+  const seenSitemaps = new Set();
+  const summaries = [];
+  const badEntries = [];
+  const urls = [];
+
+  while (queue.length) {
+    const sitemapUrl = queue.shift();
+    if (!sitemapUrl || seenSitemaps.has(sitemapUrl)) continue;
+    seenSitemaps.add(sitemapUrl);
+
+    console.log(`📋 Checking sitemap ${seenSitemaps.size}: ${sitemapUrl}`);
+
+    let xml;
+    try {
+      xml = await fetchText(sitemapUrl);
+    } catch (error) {
+      // Guessed locations that don't exist aren't a problem, sitemaps that robots.txt or an index list are
+      if (guessed.has(sitemapUrl) && error.status === 404) continue;
+      console.warn(`  ❌ ${error.message}`);
+      summaries.push({ sitemap: sitemapUrl, type: "", entries: 0, bytes: 0, error: error.message });
+      continue;
+    }
+
+    const result = validator.checkSitemap(sitemapUrl, xml);
+    console.log(`  ${result.summary.error ? `❌ ${result.summary.error}` : `✅ ${result.summary.entries} entries`}`);
+    summaries.push(result.summary);
+    badEntries.push(...result.badEntries);
+    urls.push(...result.urls);
+    queue.push(...result.children);
+  }
+
+  if (summaries.length === 0) {
+    summaries.push({ sitemap: `${baseUrl}/sitemap.xml`, type: "", entries: 0, bytes: 0, error: "no sitemap in robots.txt or at the usual locations" });
+  }
+
+  if (!skipPageChecks && urls.length > 0) {
+    console.log(`\n🔎 Checking ${urls.length} listed pages for redirects and canonical URLs...`);
+    const problems = await checkEntryPages(urls, { concurrency, requestsPerSecond });
+    problems.forEach(({ url, issue, detail }) => badEntries.push({ sitemap: validator.sitemapOf(url), url, issue, detail }));
+  }
+
+  badEntries.sort((a, b) => a.sitemap.localeCompare(b.sitemap) || a.url.localeCompare(b.url));
+  return { summaries: addIssueCounts(summaries, badEntries), badEntries };
+}
+
 // Extract pathnames from URLs
 function extractPathnames(urls, baseUrl) {
   const host = new URL(baseUrl).host;
@@ -161,9 +223,39 @@ async function main() {
   console.log("🌐 URL Pathname Extractor");
   console.log("========================\n");
 
+  const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      validate: { type: "boolean" },
+      "skip-page-checks": { type: "boolean" },
+      concurrency: { type: "string" },
+      rps: { type: "string" }
+    }
+  });
+
+  // Page checks are taken off the queue --concurrency at a time, so 0 or a typo would never empty it
+  let concurrency, requestsPerSecond;
+  try {
+    concurrency = parseCount(args.concurrency, "--concurrency");
+    requestsPerSecond = parseRate(args.rps, "--rps");
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
   try {
+    // A site config supplies the base URL and the include/exclude rules for the result
+    const siteConfig = positionals[0]
+      ? loadSiteConfig(path.resolve(positionals[0]), { requirePaths: false })
+      : null;
+
     // Get website URL from user
-    let websiteUrl;
+    let websiteUrl = siteConfig ? siteConfig.base : null;
     while (!websiteUrl) {
       const input = await askQuestion("Enter website URL (e.g., example.com or https://example.com): ");
       websiteUrl = normalizeUrl(input);
@@ -175,6 +267,20 @@ async function main() {
 
     console.log(`\n✅ Processing: ${websiteUrl}\n`);
 
+    if (args.validate) {
+      const { summaries, badEntries } = await validateAllSitemaps(websiteUrl, {
+        skipPageChecks: args["skip-page-checks"],
+        concurrency,
+        requestsPerSecond
+      });
+      await writeSitemapValidationReport(summaries, badEntries);
+
+      console.log(`\n📊 Sitemap validation`);
+      console.table(summaries.map(({ sitemap, type, entries, error, badEntries }) => ({ sitemap, type, entries, error, badEntries })));
+      console.log(`💾 Saved sitemap-validation-summary.csv, sitemap-validation-bad-entries.csv and sitemap-validation.json`);
+      return;
+    }
+
     // Collect URLs from sitemaps
     const urls = await collectAllUrls(websiteUrl);
     
@@ -185,7 +291,9 @@ async function main() {
     }
 
     // Extract pathnames
-    const pathnames = extractPathnames(urls, websiteUrl);
+    const pathnames = siteConfig
+      ? filterPaths(extractPathnames(urls, websiteUrl), siteConfig)
+      : extractPathnames(urls, websiteUrl);
 
     // Save to url.txt
     await fs.writeFile("url.txt", pathnames.join("\n"), "utf8");
@@ -214,5 +322,9 @@ async function main() {
   }
 }
 
-// Run the script
-main().catch(console.error);
+// Run the script when called directly; crawl-urls.mjs imports collectAllUrls for its sitemap diff
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(console.error);
+}
+
+export { collectAllUrls };
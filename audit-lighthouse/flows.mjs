@@ -0,0 +1,155 @@
+// Multi-step journeys audited with Lighthouse's user-flow mode
+//
+// A site config lists them under "flows". Every step does one thing:
+//   "flows": [
+//     {
+//       "name": "Booking",
+//       "profiles": ["mobile"],
+//       "steps": [
+//         { "navigate": "/", "name": "Home" },
+//         { "startTimespan": "Search a destination" },
+//         { "fill": "#destination", "value": "Myrtle Beach" },
+//         { "click": "#search-button" },
+//         { "waitFor": ".search-results" },
+//         { "endTimespan": true },
+//         { "snapshot": "Search results" },
+//         { "startNavigation": "Open a rental" },
+//         { "click": ".search-results a" },
+//         { "endNavigation": true }
+//       ]
+//     }
+//   ]
+// navigate, startNavigation…endNavigation, startTimespan…endTimespan and snapshot are the
+// measured steps that show up in the flow report and the summary; fill, click and waitFor are
+// the interactions in between (see login.mjs). "fill" takes a "value", or "env" for anything secret.
+// "profiles" picks which device profiles run the flow (default: all of them).
+
+import puppeteer from 'puppeteer-core';
+import { startFlow, generateReport } from 'lighthouse';
+import { performStep } from './login.mjs';
+
+const MEASURED_STEPS = ['navigate', 'startNavigation', 'startTimespan', 'snapshot'];
+const STEP_TYPES = [...MEASURED_STEPS, 'endNavigation', 'endTimespan', 'fill', 'click', 'waitFor'];
+
+// The step that has to come next to close an open navigation or timespan
+const CLOSING_STEP = { startNavigation: 'endNavigation', startTimespan: 'endTimespan' };
+
+function validateFlowStep(step, index, flowName, state) {
+  const where = `Flow "${flowName}" step ${index + 1}`;
+  const types = STEP_TYPES.filter(name => name in (step || {}));
+  if (types.length !== 1) throw new Error(`${where} needs exactly one of ${STEP_TYPES.map(name => `"${name}"`).join(', ')}`);
+  const [type] = types;
+  const target = step[type];
+
+  if (index === 0 && type !== 'navigate') throw new Error(`${where}: a flow has to start with a "navigate"`);
+  if (type.startsWith('end')) {
+    if (CLOSING_STEP[state.open] !== type) throw new Error(`${where}: "${type}" without a matching start`);
+    state.open = null;
+    return { type };
+  }
+  if (state.open && MEASURED_STEPS.includes(type)) {
+    throw new Error(`${where}: "${type}" inside an open "${state.open}", close it with "${CLOSING_STEP[state.open]}" first`);
+  }
+
+  if (typeof target !== 'string' || !target) {
+    throw new Error(`${where}: "${type}" must be ${type === 'navigate' ? 'a path or URL' : MEASURED_STEPS.includes(type) ? 'the step name' : 'a selector'}`);
+  }
+  if (CLOSING_STEP[type]) state.open = type;
+
+  if (type === 'navigate') return { type, target, name: step.name || target };
+  if (MEASURED_STEPS.includes(type)) return { type, name: target };
+  if (type === 'fill') {
+    if (typeof step.env === 'string' && step.env) return { type, target, env: step.env };
+    if (typeof step.value !== 'string') throw new Error(`${where}: "fill" needs a "value" or an "env"`);
+    return { type, target, value: step.value };
+  }
+  return { type, target };
+}
+
+// Check the "flows" of a site config and return them with the profiles each one runs with.
+// Throws when a flow is malformed or an environment variable it types is not set.
+function resolveFlows(flows, profiles) {
+  if (flows === undefined) return [];
+  if (!Array.isArray(flows)) throw new Error('"flows" must be an array of flows');
+
+  const names = new Set();
+  return flows.map(flow => {
+    if (!flow?.name || typeof flow.name !== 'string') throw new Error(`Every flow needs a "name": ${JSON.stringify(flow)}`);
+    if (names.has(flow.name)) throw new Error(`Flow "${flow.name}" is defined more than once`);
+    names.add(flow.name);
+    if (!Array.isArray(flow.steps) || flow.steps.length === 0) throw new Error(`Flow "${flow.name}" needs a "steps" list`);
+
+    const state = { open: null };
+    const steps = flow.steps.map((step, index) => validateFlowStep(step, index, flow.name, state));
+    if (state.open) throw new Error(`Flow "${flow.name}" ends inside "${state.open}", close it with "${CLOSING_STEP[state.open]}"`);
+
+    const missing = steps.filter(step => step.env && !process.env[step.env]).map(step => step.env);
+    if (missing.length > 0) throw new Error(`Flow "${flow.name}": set ${missing.join(', ')} in the environment`);
+
+    const profileNames = profiles.map(profile => profile.name);
+    const flowProfiles = flow.profiles ?? profileNames;
+    const unknown = Array.isArray(flowProfiles) ? flowProfiles.filter(name => !profileNames.includes(name)) : [];
+    if (!Array.isArray(flowProfiles) || flowProfiles.length === 0 || unknown.length > 0) {
+      throw new Error(`Flow "${flow.name}": "profiles" must list profiles from the config (${profileNames.join(', ')})`);
+    }
+
+    return {
+      name: flow.name,
+      steps,
+      profiles: flowProfiles,
+      measuredSteps: steps.filter(step => MEASURED_STEPS.includes(step.type)).length
+    };
+  });
+}
+
+// Run one flow in the Chrome listening on port and return { report: [html, json] } like a
+// page audit. The json is the flow result, with each step's Lighthouse result in steps[].lhr.
+// config is the Lighthouse config (e.g. with plugins), undefined for the default one.
+async function runUserFlow(port, flow, { flags, config }, baseUrl) {
+  const browser = await puppeteer.connect({ browserURL: `http://127.0.0.1:${port}`, defaultViewport: null });
+  const page = await browser.newPage();
+
+  try {
+    const userFlow = await startFlow(page, { name: flow.name, flags, config });
+    let current = 'the start';
+
+    try {
+      for (const step of flow.steps) {
+        if (step.name) current = `"${step.name}"`;
+        switch (step.type) {
+          case 'navigate':
+            await userFlow.navigate(new URL(step.target, `${baseUrl}/`).href, { name: step.name });
+            break;
+          case 'startNavigation':
+            await userFlow.startNavigation({ name: step.name });
+            break;
+          case 'endNavigation':
+            await userFlow.endNavigation();
+            break;
+          case 'startTimespan':
+            await userFlow.startTimespan({ name: step.name });
+            break;
+          case 'endTimespan':
+            await userFlow.endTimespan();
+            break;
+          case 'snapshot':
+            await userFlow.snapshot({ name: step.name });
+            break;
+          default:
+            await performStep(page, step, baseUrl);
+        }
+      }
+    } catch (error) {
+      throw new Error(`Flow "${flow.name}" failed at ${current} (${page.url()}): ${error.message}`);
+    }
+
+    // Audits every step, so only once: the HTML report is made from the same result
+    const flowResult = await userFlow.createFlowResult();
+    return { report: [generateReport(flowResult, 'html'), JSON.stringify(flowResult)] };
+  } finally {
+    await page.close().catch(() => {});
+    await browser.disconnect();
+  }
+}
+
+export { resolveFlows, runUserFlow };
@@ -0,0 +1,50 @@
+// Append-only store of every run's results, one JSON line per path × profile, so a page can
+// be followed across runs (see trend.mjs)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VALUE_COLUMNS } from './summary.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_HISTORY_FILE = path.join(__dirname, 'history', 'results.jsonl');
+
+// Add one run's summary rows. date is when the run started (ISO string), and is what ties
+// the rows of one run together.
+function appendToHistory(rows, { site, date, runDir, file = DEFAULT_HISTORY_FILE }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const lines = rows.map(row => {
+    const record = { site, date, path: row.path, profile: row.profile, formFactor: row.formFactor };
+    if (row.template) record.template = row.template;
+    if (row.flow) Object.assign(record, { flow: row.flow, step: row.step, mode: row.mode });
+    for (const column of VALUE_COLUMNS) record[column] = row[column];
+    if (row.siteChecks !== undefined) record.siteChecks = row.siteChecks;
+    if (row.runs > 1) record.runs = row.runs;
+    if (row.report) record.report = `${runDir}/${row.report}`;
+    return JSON.stringify(record);
+  });
+
+  fs.appendFileSync(file, lines.map(line => `${line}\n`).join(''));
+  return file;
+}
+
+// Every record in the store, oldest first. A line that doesn't parse (an interrupted write)
+// is skipped with a warning instead of making the whole history unreadable.
+function readHistory(file = DEFAULT_HISTORY_FILE) {
+  if (!fs.existsSync(file)) throw new Error(`No history yet at ${file}, it is written by every audit.js run`);
+
+  const records = [];
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      console.warn(`⚠️  Skipping unreadable line ${index + 1} in ${file}`);
+    }
+  });
+
+  return records.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export { DEFAULT_HISTORY_FILE, appendToHistory, readHistory };
@@ -0,0 +1,59 @@
+// Child process started by chrome-pool.mjs. Owns one Chrome and runs Lighthouse jobs
+// sent by the parent, replying with the generated reports.
+
+import lighthouse from 'lighthouse';
+import { launchChrome, killChrome } from './chrome-pool.mjs';
+import { runLogin } from './login.mjs';
+import { runUserFlow } from './flows.mjs';
+import { runAxe } from './accessibility.mjs';
+
+const chrome = await launchChrome();
+
+async function shutdown() {
+  await killChrome(chrome);
+  process.exit(0);
+}
+
+async function runLighthouse({ url, flags, config }) {
+  const result = await lighthouse(url, { ...flags, port: chrome.port }, config);
+  if (!result) throw new Error(`Lighthouse returned no result for ${url}`);
+  return { report: result.report };
+}
+
+// Log this Chrome in (see login.mjs) so the next audits see the logged-in pages
+async function logIn({ login, baseUrl }) {
+  await runLogin(chrome.port, login, baseUrl);
+  return {};
+}
+
+// Run a multi-step user flow (see flows.mjs), replying with the flow report
+async function runFlow({ flow, flags, config, baseUrl }) {
+  return runUserFlow(chrome.port, flow, { flags, config }, baseUrl);
+}
+
+// Run axe-core on a page as the profile's device (see accessibility.mjs), replying with its violations
+async function runAccessibility({ url, profile }) {
+  return { violations: await runAxe(chrome.port, url, profile) };
+}
+
+const JOBS = { lighthouse: runLighthouse, login: logIn, flow: runFlow, axe: runAccessibility };
+
+process.on('message', async message => {
+  if (message.type === 'close') {
+    await shutdown();
+    return;
+  }
+
+  try {
+    const job = JOBS[message.type];
+    if (!job) throw new Error(`Unknown job type: ${message.type}`);
+    process.send({ type: 'result', result: await job(message) });
+  } catch (error) {
+    process.send({ type: 'error', message: error.message });
+  }
+});
+
+// Parent went away (finished, crashed or Ctrl-C): don't leave Chrome behind
+process.on('disconnect', shutdown);
+
+process.send({ type: 'ready', port: chrome.port, pid: chrome.pid });
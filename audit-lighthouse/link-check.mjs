@@ -0,0 +1,44 @@
+// Check whether a URL works without downloading the whole page
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Servers that answer HEAD with one of these often serve GET just fine
+const RETRY_WITH_GET = [400, 403, 405, 501];
+
+// Returns { status, finalUrl, error } where status is the HTTP status after redirects,
+// or "timeout"/"error" when there was no response at all.
+// With redirect: 'manual' a redirect is reported as-is (301, 302...) and finalUrl is where it points.
+async function checkLink(url, { userAgent, timeoutMs = DEFAULT_TIMEOUT_MS, redirect = 'follow' } = {}) {
+  const request = async method => {
+    const response = await fetch(url, {
+      method,
+      redirect,
+      headers: userAgent ? { 'User-Agent': userAgent } : {},
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    // Only the status matters, don't download the body
+    await response.body?.cancel();
+    return response;
+  };
+
+  let response;
+  try {
+    response = await request('HEAD');
+    if (RETRY_WITH_GET.includes(response.status)) response = await request('GET');
+  } catch {
+    try {
+      response = await request('GET');
+    } catch (error) {
+      return { status: error.name === 'TimeoutError' ? 'timeout' : 'error', finalUrl: null, error: error.message };
+    }
+  }
+
+  const location = redirect === 'manual' ? response.headers.get('location') : null;
+  const finalUrl = location && URL.canParse(location, url) ? new URL(location, url).href : response.url || url;
+  return { status: response.status, finalUrl, error: null };
+}
+
+// true for 4xx/5xx responses and for requests that got no response at all
+const isBroken = status => typeof status !== 'number' || status >= 400;
+
+export { DEFAULT_TIMEOUT_MS, checkLink, isBroken };
@@ -0,0 +1,114 @@
+// Log in before the audits so pages behind a login are audited instead of the login page
+//
+// A site config can either list the steps:
+//   "login": {
+//     "steps": [
+//       { "goto": "/login" },
+//       { "fill": "#username", "env": "CW_USERNAME" },
+//       { "fill": "#password", "env": "CW_PASSWORD" },
+//       { "click": "button[type=submit]" },
+//       { "waitFor": "#account-menu" }
+//     ]
+//   }
+// or point to a script, relative to the config file, that gets a Puppeteer page:
+//   "login": { "script": "../login/cw-login.mjs", "env": ["CW_USERNAME", "CW_PASSWORD"] }
+//   export default async function login({ page, baseUrl, env }) { ... }
+//
+// Credentials only ever come from environment variables, never from the JSON. The login runs
+// in each worker's Chrome before its first audit, and the cookies it leaves behind are used
+// by every Lighthouse run in that Chrome.
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import puppeteer from 'puppeteer-core';
+
+const STEP_TYPES = ['goto', 'fill', 'click', 'waitFor'];
+
+function validateStep(step, index) {
+  const where = `login step ${index + 1}`;
+  const type = STEP_TYPES.find(name => name in (step || {}));
+  if (!type) throw new Error(`${where} needs one of ${STEP_TYPES.map(name => `"${name}"`).join(', ')}`);
+  if (typeof step[type] !== 'string' || !step[type]) throw new Error(`${where}: "${type}" must be a URL or selector`);
+  if (type === 'fill') {
+    if ('value' in step) throw new Error(`${where}: put the value in an environment variable and use "env" instead of "value"`);
+    if (typeof step.env !== 'string' || !step.env) throw new Error(`${where}: "fill" needs "env", the environment variable with the value`);
+  }
+  return { type, target: step[type], env: step.env };
+}
+
+// Check the login config and resolve it to { steps } or { script }, with the environment
+// variables it needs. Throws when the config is wrong or a variable isn't set, so a bad
+// login stops the run before any audits instead of every audit failing.
+function resolveLogin(login, configDir) {
+  if (login === undefined) return null;
+  if (!login || typeof login !== 'object' || Array.isArray(login)) {
+    throw new Error('"login" must be an object with "steps" or "script"');
+  }
+
+  let resolved;
+  if (login.script !== undefined) {
+    if (typeof login.script !== 'string') throw new Error('"login.script" must be a path to a .mjs file');
+    const script = path.resolve(configDir, login.script);
+    if (!fs.existsSync(script)) throw new Error(`Login script not found: ${script}`);
+    const env = login.env ?? [];
+    if (!Array.isArray(env) || !env.every(name => typeof name === 'string')) {
+      throw new Error('"login.env" must be a list of environment variable names');
+    }
+    resolved = { script, env };
+  } else if (Array.isArray(login.steps) && login.steps.length > 0) {
+    const steps = login.steps.map(validateStep);
+    resolved = { steps, env: steps.filter(step => step.env).map(step => step.env) };
+  } else {
+    throw new Error('"login" needs a "steps" list or a "script"');
+  }
+
+  const missing = resolved.env.filter(name => !process.env[name]);
+  if (missing.length > 0) throw new Error(`Set ${missing.join(', ')} in the environment to log in`);
+  return resolved;
+}
+
+// Carry out one goto/fill/click/waitFor step on a Puppeteer page. Also used for the
+// interactions in user flows (see flows.mjs), which may type a plain "value".
+async function performStep(page, { type, target, env, value }, baseUrl) {
+  switch (type) {
+    case 'goto':
+      await page.goto(new URL(target, `${baseUrl}/`).href, { waitUntil: 'networkidle2' });
+      break;
+    case 'fill':
+      await page.waitForSelector(target, { visible: true });
+      await page.type(target, env ? process.env[env] : value);
+      break;
+    case 'click':
+      await page.waitForSelector(target, { visible: true });
+      await page.click(target);
+      break;
+    case 'waitFor':
+      await page.waitForSelector(target, { visible: true });
+      break;
+  }
+}
+
+// Log in using the Chrome listening on port. The tab is closed afterwards, the cookies stay.
+async function runLogin(port, login, baseUrl) {
+  const browser = await puppeteer.connect({ browserURL: `http://127.0.0.1:${port}`, defaultViewport: null });
+  const page = await browser.newPage();
+
+  try {
+    if (login.script) {
+      const { default: loginScript } = await import(pathToFileURL(login.script).href);
+      if (typeof loginScript !== 'function') throw new Error(`${login.script} must export a default login function`);
+      await loginScript({ page, baseUrl, env: process.env });
+    } else {
+      for (const step of login.steps) await performStep(page, step, baseUrl);
+    }
+  } catch (error) {
+    // Never echo what was typed, only where it stopped
+    throw new Error(`Login failed at ${page.url()}: ${error.message}`);
+  } finally {
+    await page.close().catch(() => {});
+    await browser.disconnect();
+  }
+}
+
+export { resolveLogin, performStep, runLogin };
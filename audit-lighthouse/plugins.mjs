@@ -0,0 +1,87 @@
+// Site-specific checks as Lighthouse plugins, shown as an extra "Site checks" category
+//
+// Every folder in plugins/ is one plugin:
+//   plugins/<name>/audit.mjs     a Lighthouse Audit as the default export (required)
+//   plugins/<name>/gatherer.mjs  a Lighthouse Gatherer as the default export, when the audit needs
+//                                something Lighthouse doesn't collect itself. Its artifact is named
+//                                after the folder in PascalCase: plugins/booking-widget-above-fold
+//                                provides "BookingWidgetAboveFold" for the audit's requiredArtifacts.
+// A site config picks the plugins that apply to it:
+//   "plugins": ["lodging-json-ld", "booking-widget-above-fold", "no-chat-script-on-mobile"]
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PLUGINS_DIR = path.join(__dirname, 'plugins');
+
+// Category id in the Lighthouse results, and its title in the reports
+const PLUGIN_CATEGORY = 'site-checks';
+const PLUGIN_CATEGORY_TITLE = 'Site checks';
+
+// "booking-widget-above-fold" -> "BookingWidgetAboveFold"
+const artifactIdOf = name => name.split(/[^a-zA-Z0-9]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+
+function availablePlugins() {
+  if (!fs.existsSync(PLUGINS_DIR)) return [];
+  return fs.readdirSync(PLUGINS_DIR, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name);
+}
+
+// Check the plugins a site config asks for and build the Lighthouse config that adds them.
+// Returns null when the config has no "plugins". Modules are passed to Lighthouse by path,
+// so the config can be sent to the worker processes as it is.
+async function loadPlugins(names) {
+  if (names === undefined) return null;
+  if (!Array.isArray(names) || names.length === 0 || !names.every(name => typeof name === 'string')) {
+    throw new Error('"plugins" must be a list of plugin names (folders in plugins/)');
+  }
+
+  const available = availablePlugins();
+  const artifacts = [];
+  const audits = [];
+  const auditRefs = [];
+
+  for (const name of new Set(names)) {
+    if (!available.includes(name)) {
+      throw new Error(`Unknown plugin "${name}". Available: ${available.join(', ') || 'none, add folders to plugins/'}`);
+    }
+
+    const auditPath = path.join(PLUGINS_DIR, name, 'audit.mjs');
+    if (!fs.existsSync(auditPath)) throw new Error(`Plugin "${name}" has no audit.mjs`);
+    const { default: audit } = await import(pathToFileURL(auditPath).href);
+    const id = audit?.meta?.id;
+    if (typeof id !== 'string') throw new Error(`plugins/${name}/audit.mjs must export a Lighthouse Audit with a meta.id as its default`);
+    if (auditRefs.some(ref => ref.id === id)) throw new Error(`Two plugins use the audit id "${id}"`);
+
+    const gathererPath = path.join(PLUGINS_DIR, name, 'gatherer.mjs');
+    if (fs.existsSync(gathererPath)) {
+      const artifactId = artifactIdOf(name);
+      if (!audit.meta.requiredArtifacts?.includes(artifactId)) {
+        throw new Error(`plugins/${name}/audit.mjs should list "${artifactId}" in requiredArtifacts to use its gatherer`);
+      }
+      artifacts.push({ id: artifactId, gatherer: gathererPath });
+    }
+
+    audits.push(auditPath);
+    auditRefs.push({ id, weight: 1 });
+  }
+
+  return {
+    names: [...new Set(names)],
+    config: {
+      extends: 'lighthouse:default',
+      artifacts,
+      audits,
+      categories: {
+        [PLUGIN_CATEGORY]: {
+          title: PLUGIN_CATEGORY_TITLE,
+          description: 'Checks this site promises on top of the standard Lighthouse categories.',
+          auditRefs
+        }
+      }
+    }
+  };
+}
+
+export { PLUGIN_CATEGORY, loadPlugins };
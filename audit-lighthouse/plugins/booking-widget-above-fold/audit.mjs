@@ -0,0 +1,30 @@
+// The booking widget has to start on the first screen, without scrolling.
+// Pages without a booking widget are not applicable.
+
+import { Audit } from 'lighthouse';
+
+class BookingWidgetAboveFoldAudit extends Audit {
+  static get meta() {
+    return {
+      id: 'booking-widget-above-fold',
+      title: 'Booking widget is above the fold',
+      failureTitle: 'Booking widget is below the fold',
+      description: 'Visitors should be able to start a booking without scrolling, so the booking widget has to start within the first screen.',
+      supportedModes: ['navigation', 'snapshot'],
+      requiredArtifacts: ['BookingWidgetAboveFold']
+    };
+  }
+
+  static audit(artifacts) {
+    const widget = artifacts.BookingWidgetAboveFold;
+    if (!widget.found) return { score: 1, notApplicable: true };
+
+    const aboveFold = widget.top < widget.viewportHeight;
+    return {
+      score: aboveFold ? 1 : 0,
+      displayValue: `Starts at ${widget.top}px, the screen is ${widget.viewportHeight}px high`
+    };
+  }
+}
+
+export default BookingWidgetAboveFoldAudit;
@@ -0,0 +1,35 @@
+// Finds the booking widget and where it sits relative to the first screen
+
+import { Gatherer } from 'lighthouse';
+
+// The booking widget on rental pages, in the order they're tried
+const WIDGET_SELECTOR = '[data-booking-widget], #booking-widget, .booking-widget';
+
+function findWidget(selector) {
+  const widget = [...document.querySelectorAll(selector)].find(element => {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  });
+  if (!widget) return { found: false, viewportHeight: window.innerHeight };
+
+  // Relative to the top of the document, in case the page was scrolled
+  const rect = widget.getBoundingClientRect();
+  return {
+    found: true,
+    top: Math.round(rect.top + window.scrollY),
+    bottom: Math.round(rect.bottom + window.scrollY),
+    viewportHeight: window.innerHeight
+  };
+}
+
+class BookingWidgetAboveFold extends Gatherer {
+  meta = {
+    supportedModes: ['snapshot', 'navigation']
+  };
+
+  getArtifact(context) {
+    return context.driver.executionContext.evaluate(findWidget, { args: [WIDGET_SELECTOR], useIsolation: true });
+  }
+}
+
+export default BookingWidgetAboveFold;
@@ -0,0 +1,51 @@
+// Every rental page has to describe the rental as a LodgingBusiness or VacationRental in
+// JSON-LD, that's what gets it rich results in search
+
+import { Audit } from 'lighthouse';
+import { LODGING_TYPES, typesOf, jsonLdItems } from '../../schema-org.mjs';
+
+// Rental detail pages, e.g. /north-myrtle-beach/units/arbor-trace-612 or /myrtle-beach/rentals/breakers-resort
+const RENTAL_PATH = /\/(units|rentals)\/[^/]+\/?$/;
+
+class LodgingJsonLdAudit extends Audit {
+  static get meta() {
+    return {
+      id: 'lodging-json-ld',
+      title: 'Rental page has LodgingBusiness/VacationRental JSON-LD',
+      failureTitle: 'Rental page is missing LodgingBusiness/VacationRental JSON-LD',
+      description: 'Rental pages describe the rental with schema.org LodgingBusiness or VacationRental structured data so search engines can show rich results.',
+      supportedModes: ['navigation', 'snapshot'],
+      requiredArtifacts: ['LodgingJsonLd', 'URL']
+    };
+  }
+
+  static audit(artifacts) {
+    const { pathname } = new URL(artifacts.URL.finalDisplayedUrl);
+    if (!RENTAL_PATH.test(pathname)) return { score: 1, notApplicable: true };
+
+    const blocks = artifacts.LodgingJsonLd.map((text, index) => {
+      try {
+        return { index, types: jsonLdItems(JSON.parse(text)).flatMap(typesOf) };
+      } catch (error) {
+        return { index, types: [], error: error.message };
+      }
+    });
+    const found = blocks.some(block => block.types.some(type => LODGING_TYPES.includes(type)));
+
+    const items = blocks.map(block => ({
+      block: `JSON-LD block ${block.index + 1}`,
+      types: block.error ? `Invalid JSON: ${block.error}` : block.types.join(', ') || '(no @type)'
+    }));
+
+    return {
+      score: found ? 1 : 0,
+      displayValue: blocks.length === 0 ? 'No JSON-LD on the page' : undefined,
+      details: Audit.makeTableDetails([
+        { key: 'block', valueType: 'text', label: 'Block' },
+        { key: 'types', valueType: 'text', label: 'Types' }
+      ], items)
+    };
+  }
+}
+
+export default LodgingJsonLdAudit;
@@ -0,0 +1,19 @@
+// Collects the text of every JSON-LD block on the page, including ones added by scripts
+
+import { Gatherer } from 'lighthouse';
+
+function collectJsonLd() {
+  return [...document.querySelectorAll('script[type="application/ld+json"]')].map(script => script.textContent || '');
+}
+
+class LodgingJsonLd extends Gatherer {
+  meta = {
+    supportedModes: ['snapshot', 'navigation']
+  };
+
+  getArtifact(context) {
+    return context.driver.executionContext.evaluate(collectJsonLd, { args: [], useIsolation: true });
+  }
+}
+
+export default LodgingJsonLd;
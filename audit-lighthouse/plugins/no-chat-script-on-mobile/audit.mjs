@@ -0,0 +1,57 @@
+// Third-party chat widgets are heavy and cover half a phone screen, so they are only
+// allowed on desktop. Desktop runs are not applicable.
+
+import { Audit } from 'lighthouse';
+
+// Hosts the common chat widgets load their scripts from
+const CHAT_HOSTS = [
+  'widget.intercom.io',
+  'js.intercomcdn.com',
+  'js.driftt.com',
+  'embed.tawk.to',
+  'cdn.livechatinc.com',
+  'static.zdassets.com',
+  'v2.zopim.com',
+  'client.crisp.chat',
+  'js.usemessages.com',
+  'static.olark.com',
+  'code.tidio.co',
+  'wchat.freshchat.com',
+  'beacon-v2.helpscout.net'
+];
+
+const isChatScript = url => {
+  try {
+    const { hostname } = new URL(url);
+    return CHAT_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  } catch {
+    return false;
+  }
+};
+
+class NoChatScriptOnMobileAudit extends Audit {
+  static get meta() {
+    return {
+      id: 'no-chat-script-on-mobile',
+      title: 'No third-party chat script on mobile',
+      failureTitle: 'Page loads a third-party chat script on mobile',
+      description: 'Chat widgets slow pages down and cover the content on small screens, so they should only be loaded on desktop.',
+      supportedModes: ['navigation', 'timespan'],
+      requiredArtifacts: ['Scripts']
+    };
+  }
+
+  static audit(artifacts, context) {
+    if (context.settings.formFactor !== 'mobile') return { score: 1, notApplicable: true };
+
+    const chatScripts = [...new Set(artifacts.Scripts.map(script => script.url).filter(isChatScript))];
+    return {
+      score: chatScripts.length === 0 ? 1 : 0,
+      details: Audit.makeTableDetails([
+        { key: 'url', valueType: 'url', label: 'Script' }
+      ], chatScripts.map(url => ({ url })))
+    };
+  }
+}
+
+export default NoChatScriptOnMobileAudit;
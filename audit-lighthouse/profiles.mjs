@@ -0,0 +1,136 @@
+// Device profiles: form factor, screen, user agent and throttling for a Lighthouse run
+//
+// A site config can list its own profiles under "profiles". Each entry is either the
+// name of a built-in profile or an object that overrides one:
+//   "profiles": [
+//     "mobile",
+//     "desktop",
+//     { "name": "mobile-unthrottled", "preset": "mobile", "throttling": "none" },
+//     {
+//       "name": "iphone-14",
+//       "formFactor": "mobile",
+//       "screen": { "width": 390, "height": 844, "deviceScaleFactor": 3 },
+//       "userAgent": "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) ...",
+//       "throttling": "devtools-slow-4g"
+//     }
+//   ]
+// "throttling" is a preset name from THROTTLING_PRESETS or an object with "method"
+// ("simulate", "devtools" or "provided") plus Lighthouse's throttling values.
+
+import { throttling, screenEmulationMetrics, userAgents } from 'lighthouse/core/config/constants.js';
+
+const NO_THROTTLING = {
+  rttMs: 0, throughputKbps: 0, cpuSlowdownMultiplier: 1,
+  requestLatencyMs: 0, downloadThroughputKbps: 0, uploadThroughputKbps: 0
+};
+
+const THROTTLING_PRESETS = {
+  // What PageSpeed Insights and Lighthouse use by default for mobile
+  'simulated-slow-4g': { throttlingMethod: 'simulate', throttling: throttling.mobileSlow4G },
+  // What PageSpeed Insights and Lighthouse use by default for desktop
+  'simulated-desktop': { throttlingMethod: 'simulate', throttling: throttling.desktopDense4G },
+  'simulated-3g': { throttlingMethod: 'simulate', throttling: throttling.mobileRegular3G },
+  // Applied by Chrome while the page loads, slower to run but closer to a real device
+  'devtools-slow-4g': { throttlingMethod: 'devtools', throttling: throttling.mobileSlow4G },
+  'devtools-3g': { throttlingMethod: 'devtools', throttling: throttling.mobileRegular3G },
+  // Whatever the machine running the audit has
+  'none': { throttlingMethod: 'provided', throttling: NO_THROTTLING }
+};
+
+// Built-in profiles matching Lighthouse's standard mobile and desktop defaults
+const BUILT_IN_PROFILES = {
+  mobile: {
+    formFactor: 'mobile',
+    screen: screenEmulationMetrics.mobile,
+    userAgent: userAgents.mobile,
+    throttling: 'simulated-slow-4g'
+  },
+  desktop: {
+    formFactor: 'desktop',
+    screen: screenEmulationMetrics.desktop,
+    userAgent: userAgents.desktop,
+    throttling: 'simulated-desktop'
+  }
+};
+
+const DEFAULT_PROFILES = ['mobile', 'desktop'];
+
+// requestLatencyMs and the throughputs devtools throttling needs for rttMs and throughputKbps,
+// with the factors Lighthouse's own devtools presets use
+function devtoolsNetwork({ rttMs, throughputKbps }) {
+  return {
+    ...(rttMs !== undefined ? { requestLatencyMs: rttMs * throttling.DEVTOOLS_RTT_ADJUSTMENT_FACTOR } : {}),
+    ...(throughputKbps !== undefined ? {
+      downloadThroughputKbps: throughputKbps * throttling.DEVTOOLS_THROUGHPUT_ADJUSTMENT_FACTOR,
+      uploadThroughputKbps: throughputKbps * throttling.DEVTOOLS_THROUGHPUT_ADJUSTMENT_FACTOR
+    } : {})
+  };
+}
+
+function resolveThrottling(spec, profileName) {
+  if (typeof spec === 'string') {
+    const preset = THROTTLING_PRESETS[spec];
+    if (!preset) {
+      throw new Error(`Profile "${profileName}": unknown throttling "${spec}". Use one of: ${Object.keys(THROTTLING_PRESETS).join(', ')}`);
+    }
+    return preset;
+  }
+
+  const { method = 'simulate', ...given } = spec;
+  if (!['simulate', 'devtools', 'provided'].includes(method)) {
+    throw new Error(`Profile "${profileName}": throttling method must be simulate, devtools or provided, got "${method}"`);
+  }
+  // Devtools throttling only reads the request latency and throughputs, which can also be given directly
+  const values = method === 'devtools' ? { ...devtoolsNetwork(given), ...given } : given;
+  return { throttlingMethod: method, throttling: { ...NO_THROTTLING, ...values } };
+}
+
+// Turn one "profiles" entry into { name, formFactor, settings } where settings are Lighthouse flags
+function resolveProfile(entry) {
+  const spec = typeof entry === 'string' ? { name: entry, preset: entry } : entry;
+  if (!spec || !spec.name) {
+    throw new Error(`Every profile needs a "name": ${JSON.stringify(entry)}`);
+  }
+
+  const presetName = spec.preset || (BUILT_IN_PROFILES[spec.name] ? spec.name : null);
+  if (presetName && !BUILT_IN_PROFILES[presetName]) {
+    throw new Error(`Profile "${spec.name}": unknown preset "${presetName}". Use one of: ${Object.keys(BUILT_IN_PROFILES).join(', ')}`);
+  }
+
+  const formFactor = spec.formFactor || (presetName ? BUILT_IN_PROFILES[presetName].formFactor : 'mobile');
+  if (!['mobile', 'desktop'].includes(formFactor)) {
+    throw new Error(`Profile "${spec.name}": formFactor must be mobile or desktop, got "${formFactor}"`);
+  }
+
+  // A custom profile without a preset starts from the built-in profile for its form factor
+  const defaults = BUILT_IN_PROFILES[presetName || formFactor];
+  const screen = spec.screen === false
+    ? { disabled: true }
+    : { ...defaults.screen, ...(spec.screen || {}), mobile: formFactor === 'mobile', disabled: false };
+
+  return {
+    name: spec.name,
+    formFactor,
+    settings: {
+      formFactor,
+      screenEmulation: screen,
+      emulatedUserAgent: spec.userAgent || defaults.userAgent,
+      ...resolveThrottling(spec.throttling || defaults.throttling, spec.name)
+    }
+  };
+}
+
+function resolveProfiles(entries = DEFAULT_PROFILES) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('"profiles" must be a non-empty array');
+  }
+
+  const profiles = entries.map(resolveProfile);
+  const names = profiles.map(profile => profile.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) throw new Error(`Profile "${duplicate}" is defined more than once`);
+
+  return profiles;
+}
+
+export { THROTTLING_PRESETS, BUILT_IN_PROFILES, resolveProfiles };
@@ -0,0 +1,19 @@
+// Spread requests out so that no more than requestsPerSecond start in any second
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Returns wait(), which resolves when the caller may send its next request.
+// 0 or less means no limit.
+function createRateLimiter(requestsPerSecond) {
+  const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  let nextSlot = 0;
+
+  return async function wait() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) await sleep(slot - now);
+  };
+}
+
+export { sleep, createRateLimiter };
@@ -0,0 +1,121 @@
+// robots.txt parsing and matching
+//
+// Follows the same rules as Google's crawler: the group for the most specific matching
+// user agent wins (falling back to "*"), the longest matching Allow/Disallow pattern
+// wins, Allow wins a tie, and patterns support "*" and a trailing "$".
+
+// Parse robots.txt into its user-agent groups and sitemap URLs
+function parseRobots(txt) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of txt.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Rules that apply to a crawler, by its product token (e.g. "URL-Crawler")
+function robotsRulesFor(parsed, productToken) {
+  const token = productToken.toLowerCase();
+
+  const specific = parsed.groups
+    .flatMap(group => group.agents.filter(agent => agent !== '*' && token.startsWith(agent)).map(agent => ({ agent, group })));
+  const longest = Math.max(0, ...specific.map(({ agent }) => agent.length));
+  const groups = longest > 0
+    ? specific.filter(({ agent }) => agent.length === longest).map(({ group }) => group)
+    : parsed.groups.filter(group => group.agents.includes('*'));
+
+  const rules = groups.flatMap(group => group.rules)
+    .map(rule => ({ ...rule, regex: patternToRegExp(rule.pattern) }));
+  const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    sitemaps: parsed.sitemaps,
+
+    isAllowed(url) {
+      const { pathname, search } = new URL(url);
+      let decodedPath = pathname;
+      try {
+        decodedPath = decodeURI(pathname);
+      } catch {
+        // Keep the encoded form
+      }
+
+      let best = null;
+      for (const rule of rules) {
+        const target = rule.pattern.includes('%') ? pathname + search : decodedPath + search;
+        if (!rule.regex.test(target)) continue;
+        if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+          best = rule;
+        }
+      }
+      return best ? best.allow : true;
+    }
+  };
+}
+
+// Fetch and parse robots.txt for a site. A missing robots.txt allows everything.
+async function fetchRobots(origin, userAgent, productToken) {
+  const robotsUrl = new URL('/robots.txt', origin).href;
+  let txt = '';
+
+  try {
+    const response = await fetch(robotsUrl, { headers: { 'User-Agent': userAgent } });
+    if (response.ok) {
+      txt = await response.text();
+    } else if (response.status >= 500) {
+      console.log(`⚠️  robots.txt returned HTTP ${response.status}, crawling without it`);
+    }
+  } catch (error) {
+    console.log(`⚠️  Could not fetch robots.txt: ${error.message}`);
+  }
+
+  return robotsRulesFor(parseRobots(txt), productToken);
+}
+
+export { parseRobots, robotsRulesFor, fetchRobots };
@@ -0,0 +1,19 @@
+// Reading schema.org types out of JSON-LD, shared by the structured data check
+// (structured-data.mjs) and the lodging-json-ld plugin
+
+// Every lodging type, validated as a LodgingBusiness
+const LODGING_TYPES = ['LodgingBusiness', 'VacationRental', 'Hotel', 'Resort', 'BedAndBreakfast', 'Motel', 'Hostel', 'Campground'];
+
+// A node's types without "https://schema.org/", so microdata and JSON-LD types look the same
+const typesOf = node => [node?.['@type']].flat().filter(type => typeof type === 'string').map(type => type.replace(/^(https?:\/\/)?schema\.org\//, ''));
+
+// The items a JSON-LD document describes: its top level nodes and the entries of an @graph.
+// Nested nodes (an Event's organizer, a Product's brand) are values of their parent.
+function jsonLdItems(value) {
+  if (Array.isArray(value)) return value.flatMap(jsonLdItems);
+  if (!value || typeof value !== 'object') return [];
+  const graph = value['@graph'] ? jsonLdItems(value['@graph']) : [];
+  return typesOf(value).length > 0 ? [value, ...graph] : graph;
+}
+
+export { LODGING_TYPES, typesOf, jsonLdItems };
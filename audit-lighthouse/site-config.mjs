@@ -0,0 +1,154 @@
+// Load and validate a site config from audit-sites/
+//
+// Two shapes are accepted:
+//   { "base": "https://www.condo-world.com", "paths": ["/", "/contact"] }       (hand written)
+//   { "site": "cw", "base": "...", "pathnames": [...], "metadata": {...} }      (convert-pathnames-to-json.mjs)
+// Either one can filter its paths with glob patterns:
+//   "include": ["/myrtle-beach/**"],
+//   "exclude": ["/dashboard", "/favorites"]
+// "*" matches within one path segment, "**" across segments, "{a,b}" either alternative.
+// Asset paths (Next.js internals, images, scripts...) are always excluded.
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_EXCLUDE = [
+  '/_next/**',
+  '/api/**',
+  '**/*.{svg,png,jpg,jpeg,gif,webp,avif,ico,css,js,mjs,map,json,xml,txt,pdf,zip,woff,woff2,ttf,mp4,webm}'
+];
+
+// Convert a glob pattern to an anchored regular expression
+function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "/**/" also matches a single "/", so "/a/**/b" matches "/a/b"
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$(){}|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesAny(pathname, patterns) {
+  return patterns.some(pattern => globToRegExp(pattern).test(pathname));
+}
+
+// Apply include/exclude rules (plus the default asset excludes) to a list of paths
+function filterPaths(paths, { include = [], exclude = [] } = {}) {
+  return paths.filter(pathname => {
+    if (include.length > 0 && !matchesAny(pathname, include)) return false;
+    return !matchesAny(pathname, [...DEFAULT_EXCLUDE, ...exclude]);
+  });
+}
+
+// Check a base URL and return it without a trailing slash, or throw with the reason
+function normalizeBaseUrl(base, source = 'config') {
+  if (typeof base !== 'string' || !base.trim()) {
+    throw new Error(`${source}: "base" is missing (expected something like "https://www.example.com")`);
+  }
+
+  let url;
+  try {
+    url = new URL(base.trim());
+  } catch {
+    throw new Error(`${source}: "base" is not a valid URL: ${base}`);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`${source}: "base" must start with http:// or https://, got ${base}`);
+  }
+  if (url.search || url.hash) {
+    throw new Error(`${source}: "base" must not contain a query string or fragment: ${base}`);
+  }
+
+  return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+// Validate a parsed config object and return it in the unified { site, base, paths, ... } shape.
+// Discovery scripts only need the base URL and filters, so they pass requirePaths: false.
+function normalizeSiteConfig(raw, source = 'config', { requirePaths = true } = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${source}: expected a JSON object with "base" and "paths"`);
+  }
+
+  const { pathnames, metadata, ...rest } = raw;
+  const base = normalizeBaseUrl(raw.base, source);
+
+  const rawPaths = raw.paths ?? pathnames ?? (requirePaths ? undefined : []);
+  if (!isStringList(rawPaths)) {
+    throw new Error(`${source}: expected "paths" (or "pathnames") to be an array of strings`);
+  }
+
+  for (const key of ['include', 'exclude']) {
+    if (raw[key] !== undefined && !isStringList(raw[key])) {
+      throw new Error(`${source}: "${key}" must be an array of glob patterns`);
+    }
+  }
+
+  const paths = [...new Set(
+    rawPaths
+      .map(pathname => pathname.trim())
+      .filter(pathname => pathname.length > 0)
+      .map(pathname => (pathname.startsWith('/') ? pathname : `/${pathname}`))
+  )];
+  const filtered = filterPaths(paths, raw);
+
+  if (requirePaths && filtered.length === 0) {
+    throw new Error(`${source}: no paths left to audit after applying include/exclude rules`);
+  }
+
+  return {
+    ...rest,
+    site: raw.site || new URL(base).hostname.replace(/^www\./, ''),
+    base,
+    paths: filtered,
+    skippedPaths: paths.filter(pathname => !filtered.includes(pathname))
+  };
+}
+
+// Read, parse and validate a site config file
+function loadSiteConfig(configPath, options) {
+  const source = path.relative(process.cwd(), configPath) || configPath;
+
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Site config not found: ${source}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+
+  return normalizeSiteConfig(raw, source, options);
+}
+
+export { DEFAULT_EXCLUDE, globToRegExp, filterPaths, normalizeBaseUrl, normalizeSiteConfig, loadSiteConfig };
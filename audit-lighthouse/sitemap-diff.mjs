@@ -0,0 +1,87 @@
+// Compare the sitemaps with what a crawl can reach by following links:
+//   orphan    a working page listed in a sitemap that no crawled page links to
+//   unlisted  a working page the crawl reached that no sitemap lists
+//   not-200   a sitemap entry that redirects, fails or doesn't answer 200
+
+import fs from 'fs/promises';
+import { toCsv } from './summary.mjs';
+
+const COLUMNS = ['issue', 'url', 'status', 'error', 'redirectsTo', 'linkedFrom', 'linkCount'];
+
+// Sitemaps and links often disagree on protocol and trailing slash for the same page
+function comparisonKey(url) {
+  const { host, pathname, search } = new URL(url);
+  return `${host}${pathname.replace(/\/+$/, '') || '/'}${search}`;
+}
+
+// sitemapUrls:     every <loc> from collectAllUrls
+// crawl:           the result of crawlWebsite
+// sitemapStatuses: url -> { status, finalUrl, error } from checking the sitemap entries without following redirects
+// isIncluded:      (url) -> boolean, to leave out what the site config excludes
+function diffSitemapAndCrawl(sitemapUrls, crawl, sitemapStatuses, { startUrl, isIncluded = () => true } = {}) {
+  const host = new URL(startUrl).host;
+  const onSite = url => new URL(url).host === host;
+
+  // A link to a page that redirects or declares another canonical URL is a link to that URL
+  const resolve = url => crawl.canonicalOf.get(url) || crawl.statuses.get(url)?.finalUrl || url;
+
+  // page key -> pages linking to it (not counting itself)
+  const linkedFrom = new Map();
+  for (const [target, sources] of crawl.links) {
+    if (!onSite(target)) continue;
+    const key = comparisonKey(resolve(target));
+    if (!linkedFrom.has(key)) linkedFrom.set(key, []);
+    for (const { source } of sources) {
+      const page = resolve(source);
+      if (comparisonKey(page) !== key && !linkedFrom.get(key).includes(page)) linkedFrom.get(key).push(page);
+    }
+  }
+  // The start page counts as linked, it's where visitors come in
+  const startKey = comparisonKey(resolve(new URL(startUrl).href));
+  const isLinked = key => key === startKey || linkedFrom.get(key)?.length > 0;
+
+  const entries = sitemapUrls.filter(url => URL.canParse(url));
+  const listed = new Set(entries.map(comparisonKey));
+  const orphans = [];
+  const notOk = [];
+
+  for (const url of entries.filter(isIncluded)) {
+    const { status = '', finalUrl, error } = sitemapStatuses.get(url) || {};
+    const redirectsTo = finalUrl && finalUrl !== url ? finalUrl : '';
+
+    if (status !== 200) {
+      notOk.push({ issue: 'not-200', url, status, error: error || '', redirectsTo });
+    } else if (!isLinked(comparisonKey(url))) {
+      orphans.push({ issue: 'orphan', url, status });
+    }
+  }
+
+  // Only pages the crawl fetched and got HTML back from; anything past the depth/page
+  // limit or blocked by robots.txt wasn't verified to be a working page
+  const unlisted = new Map();
+  for (const [url, { status, html }] of crawl.statuses) {
+    if (!html || status !== 200) continue;
+    const page = resolve(url);
+    const key = comparisonKey(page);
+    if (!onSite(page) || listed.has(key) || unlisted.has(key) || !isIncluded(page)) continue;
+
+    const sources = linkedFrom.get(key) || [];
+    unlisted.set(key, { issue: 'unlisted', url: page, status, linkedFrom: sources[0] || '', linkCount: sources.length });
+  }
+
+  const byUrl = (a, b) => a.url.localeCompare(b.url);
+  return {
+    orphans: orphans.sort(byUrl),
+    unlisted: [...unlisted.values()].sort(byUrl),
+    notOk: notOk.sort(byUrl)
+  };
+}
+
+// Write <basePath>.csv (one row per issue) and <basePath>.json (grouped by issue)
+async function writeSitemapDiffReport(diff, basePath = 'sitemap-diff') {
+  const rows = [...diff.orphans, ...diff.unlisted, ...diff.notOk];
+  await fs.writeFile(`${basePath}.csv`, toCsv(rows, COLUMNS), 'utf8');
+  await fs.writeFile(`${basePath}.json`, JSON.stringify(diff, null, 2), 'utf8');
+}
+
+export { diffSitemapAndCrawl, writeSitemapDiffReport };
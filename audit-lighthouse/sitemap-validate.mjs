@@ -0,0 +1,244 @@
+// Sitemap validation: checks every sitemap against the sitemaps.org protocol and checks
+// that each listed URL is the page's own, non-redirecting, canonical address.
+//
+// Sitemap-level problems (bad XML, over the size limits, fetch failures) go in the
+// per-sitemap summary; problems with single entries go in the bad entries list.
+
+import fs from 'fs/promises';
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+import { parse } from 'node-html-parser';
+import { DEFAULT_TIMEOUT_MS } from './link-check.mjs';
+import { createRateLimiter } from './rate-limit.mjs';
+import { toCsv } from './summary.mjs';
+
+// Limits from https://www.sitemaps.org/protocol.html, for each (uncompressed) file
+const MAX_ENTRIES = 50000;
+const MAX_BYTES = 50 * 1024 * 1024;
+
+const ENTRY_ISSUES = [
+  'invalid-url',
+  'wrong-protocol',
+  'wrong-host',
+  'missing-lastmod',
+  'invalid-lastmod',
+  'future-lastmod',
+  'duplicate',
+  'redirects',
+  'not-canonical',
+  'http-error'
+];
+
+const SUMMARY_COLUMNS = ['sitemap', 'type', 'entries', 'bytes', 'error', 'badEntries', ...ENTRY_ISSUES];
+
+// W3C Datetime, the only format sitemaps allow: 2024, 2024-05, 2024-05-01, 2024-05-01T10:00+02:00...
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+// A date-only lastmod is already today in time zones ahead of ours
+const FUTURE_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: true,
+  removeNSPrefix: true,
+  parseTagValue: false,
+  isArray: name => name === 'url' || name === 'sitemap'
+});
+
+// Parse a sitemap or sitemap index into { type, entries: [{ loc, lastmod }] }, or { error } when it isn't one
+function parseSitemap(xml) {
+  const valid = XMLValidator.validate(xml);
+  if (valid !== true) {
+    return { error: `malformed XML: ${valid.err.msg} (line ${valid.err.line}, col ${valid.err.col})` };
+  }
+
+  const doc = xmlParser.parse(xml);
+  const pick = item => ({ loc: String(item?.loc ?? '').trim(), lastmod: item?.lastmod === undefined ? null : String(item.lastmod).trim() });
+
+  if (doc.sitemapindex !== undefined) {
+    return { type: 'index', entries: (doc.sitemapindex?.sitemap || []).map(pick) };
+  }
+  if (doc.urlset !== undefined) {
+    return { type: 'urlset', entries: (doc.urlset?.url || []).map(pick) };
+  }
+
+  const root = Object.keys(doc).find(key => key !== '?xml');
+  return { error: `not a sitemap: the root element is <${root || 'nothing'}> instead of <urlset> or <sitemapindex>` };
+}
+
+function lastmodIssue(lastmod, now) {
+  if (!lastmod) return { issue: 'missing-lastmod', detail: '' };
+  if (!W3C_DATETIME.test(lastmod) || Number.isNaN(Date.parse(lastmod))) {
+    return { issue: 'invalid-lastmod', detail: lastmod };
+  }
+  if (Date.parse(lastmod) > now + FUTURE_TOLERANCE_MS) return { issue: 'future-lastmod', detail: lastmod };
+  return null;
+}
+
+// Keeps track of every URL seen so far so duplicates across child sitemaps are caught.
+// baseUrl is the site the sitemaps are for: entries must use its host and protocol.
+function createSitemapValidator(baseUrl, { now = Date.now() } = {}) {
+  const site = new URL(baseUrl);
+  const firstSeenIn = new Map();
+
+  // Returns { summary, badEntries, children, urls } for one fetched sitemap
+  function checkSitemap(sitemapUrl, xml) {
+    const bytes = Buffer.byteLength(xml, 'utf8');
+    const summary = { sitemap: sitemapUrl, type: '', entries: 0, bytes, error: '' };
+    const badEntries = [];
+    const parsed = parseSitemap(xml);
+
+    if (parsed.error) {
+      summary.error = parsed.error;
+      return { summary, badEntries, children: [], urls: [] };
+    }
+
+    summary.type = parsed.type;
+    summary.entries = parsed.entries.length;
+    const limits = [];
+    if (parsed.entries.length > MAX_ENTRIES) limits.push(`${parsed.entries.length} entries (limit ${MAX_ENTRIES})`);
+    if (bytes > MAX_BYTES) limits.push(`${(bytes / 1024 / 1024).toFixed(1)}MB uncompressed (limit 50MB)`);
+    summary.error = limits.join(', ');
+
+    const flag = (url, issue, detail = '') => badEntries.push({ sitemap: sitemapUrl, url, issue, detail });
+    const children = [];
+    const urls = [];
+
+    for (const { loc, lastmod } of parsed.entries) {
+      let url;
+      try {
+        url = new URL(loc);
+      } catch {
+        flag(loc, 'invalid-url', loc ? '' : 'empty <loc>');
+        continue;
+      }
+
+      if (url.protocol !== site.protocol) flag(loc, 'wrong-protocol', `expected ${site.protocol}//`);
+      if (url.host !== site.host) flag(loc, 'wrong-host', `expected ${site.host}`);
+
+      if (parsed.type === 'index') {
+        children.push(loc);
+        continue;
+      }
+
+      const lastmodProblem = lastmodIssue(lastmod, now);
+      if (lastmodProblem) flag(loc, lastmodProblem.issue, lastmodProblem.detail);
+
+      if (firstSeenIn.has(loc)) {
+        const other = firstSeenIn.get(loc);
+        flag(loc, 'duplicate', other === sitemapUrl ? 'listed more than once in this sitemap' : `also in ${other}`);
+      } else {
+        firstSeenIn.set(loc, sitemapUrl);
+        if (url.host === site.host) urls.push(loc);
+      }
+    }
+
+    return { summary, badEntries, children, urls };
+  }
+
+  return { checkSitemap, sitemapOf: url => firstSeenIn.get(url) };
+}
+
+// The page's <link rel="canonical">, resolved against the page
+function canonicalOf(html, pageUrl) {
+  const link = parse(html).querySelectorAll('link[rel][href]')
+    .find(element => element.getAttribute('rel').toLowerCase().split(/\s+/).includes('canonical'));
+  if (!link) return null;
+
+  try {
+    const canonical = new URL(link.getAttribute('href').trim(), pageUrl);
+    canonical.hash = '';
+    return canonical.href;
+  } catch {
+    return null;
+  }
+}
+
+// Fetch one listed page without following redirects. Returns { issue, detail } or null when it's fine.
+async function checkEntryPage(url, { userAgent, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      redirect: 'manual',
+      headers: { Accept: 'text/html,application/xhtml+xml,*/*;q=0.8', ...(userAgent ? { 'User-Agent': userAgent } : {}) },
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    return { issue: 'http-error', detail: error.name === 'TimeoutError' ? 'timeout' : error.message };
+  }
+
+  if (response.status >= 300 && response.status < 400) {
+    await response.body?.cancel();
+    return { issue: 'redirects', detail: `${response.status} -> ${response.headers.get('location') || '(no Location header)'}` };
+  }
+  if (!response.ok) {
+    await response.body?.cancel();
+    return { issue: 'http-error', detail: `HTTP ${response.status}` };
+  }
+  if (!(response.headers.get('content-type') || '').includes('text/html')) {
+    await response.body?.cancel();
+    return null;
+  }
+
+  let html;
+  try {
+    html = await response.text();
+  } catch (error) {
+    return { issue: 'http-error', detail: error.message };
+  }
+
+  const canonical = canonicalOf(html, url);
+  if (canonical && canonical !== new URL(url).href) return { issue: 'not-canonical', detail: `canonical is ${canonical}` };
+  return null;
+}
+
+// Check every listed page, `concurrency` at a time and no faster than requestsPerSecond.
+// Returns [{ url, issue, detail }] for the pages with a problem.
+async function checkEntryPages(urls, { concurrency = 5, requestsPerSecond = 5, userAgent } = {}) {
+  const problems = [];
+  const waitForSlot = createRateLimiter(requestsPerSecond);
+  const queue = [...urls];
+  let checked = 0;
+
+  while (queue.length > 0) {
+    const batch = queue.splice(0, concurrency);
+    await Promise.all(batch.map(async url => {
+      await waitForSlot();
+      const problem = await checkEntryPage(url, { userAgent });
+      checked++;
+      if (problem) {
+        problems.push({ url, ...problem });
+        console.log(`  ❌ ${problem.issue}: ${url} ${problem.detail}`);
+      }
+    }));
+    console.log(`🔎 Checked ${checked}/${urls.length} pages`);
+  }
+
+  return problems;
+}
+
+// Count each sitemap's bad entries by issue for the summary
+function addIssueCounts(summaries, badEntries) {
+  return summaries.map(summary => {
+    const own = badEntries.filter(entry => entry.sitemap === summary.sitemap);
+    const counts = Object.fromEntries(ENTRY_ISSUES.map(issue => [issue, own.filter(entry => entry.issue === issue).length]));
+    return { ...summary, badEntries: own.length, ...counts };
+  });
+}
+
+// Write <basePath>-summary.csv (one row per sitemap), <basePath>-bad-entries.csv and
+// <basePath>.json with both
+async function writeSitemapValidationReport(summaries, badEntries, basePath = 'sitemap-validation') {
+  await fs.writeFile(`${basePath}-summary.csv`, toCsv(summaries, SUMMARY_COLUMNS), 'utf8');
+  await fs.writeFile(`${basePath}-bad-entries.csv`, toCsv(badEntries, ['sitemap', 'url', 'issue', 'detail']), 'utf8');
+  await fs.writeFile(`${basePath}.json`, JSON.stringify({ sitemaps: summaries, badEntries }, null, 2), 'utf8');
+}
+
+export {
+  MAX_ENTRIES,
+  MAX_BYTES,
+  ENTRY_ISSUES,
+  parseSitemap,
+  createSitemapValidator,
+  checkEntryPages,
+  addIssueCounts,
+  writeSitemapValidationReport
+};
@@ -0,0 +1,343 @@
+// Pull the structured data (JSON-LD and microdata) out of a page and check it against the
+// required and recommended properties of the schema.org types we use
+
+import fs from 'fs/promises';
+import { parse } from 'node-html-parser';
+import { DEFAULT_TIMEOUT_MS } from './link-check.mjs';
+import { createRateLimiter } from './rate-limit.mjs';
+import { toCsv } from './summary.mjs';
+import { LODGING_TYPES, typesOf, jsonLdItems } from './schema-org.mjs';
+
+// What every type needs. Required properties are errors when missing, recommended ones warnings.
+// "check" adds the rules that depend on more than one property.
+const SCHEMAS = {
+  Organization: {
+    required: ['name', 'url'],
+    recommended: ['logo', 'sameAs', 'address', 'telephone', 'contactPoint']
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    recommended: [],
+    check: checkBreadcrumbs
+  },
+  LodgingBusiness: {
+    // VacationRental, Hotel, Resort... are validated as the LodgingBusiness they are
+    subtypes: LODGING_TYPES,
+    required: ['name', 'address'],
+    recommended: ['url', 'telephone', 'image', 'priceRange', 'geo', 'aggregateRating', 'checkinTime', 'checkoutTime']
+  },
+  Product: {
+    required: ['name'],
+    recommended: ['image', 'description', 'sku', 'brand', 'offers'],
+    check: checkProduct
+  },
+  FAQPage: {
+    required: ['mainEntity'],
+    recommended: [],
+    check: checkFaq
+  },
+  Event: {
+    required: ['name', 'startDate', 'location'],
+    recommended: ['endDate', 'eventStatus', 'eventAttendanceMode', 'image', 'description', 'offers', 'organizer', 'performer']
+  }
+};
+
+const ISSUES = ['no-structured-data', 'invalid-json', 'missing-required', 'missing-recommended', 'invalid-value', 'fetch-error'];
+
+const isPresent = value => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+const asList = value => (Array.isArray(value) ? value : [value]).filter(isPresent);
+const isNumber = value => value !== '' && value !== null && !isNaN(Number(value));
+
+function schemaOf(type) {
+  if (SCHEMAS[type]) return type;
+  return Object.keys(SCHEMAS).find(name => SCHEMAS[name].subtypes?.includes(type)) || null;
+}
+
+function isAbsoluteUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// A URL, or an ImageObject/other node with one
+const urlOf = value => (typeof value === 'string' ? value : value?.url ?? value?.['@id']);
+
+// ISO 8601 date, date and time, or time with a zone, e.g. 2025-06-01 or 2025-06-01T19:00:00-04:00
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Value rules by property name, for whichever type has the property. Each returns what's
+// wrong with one value, or null.
+const VALUE_CHECKS = {
+  url: value => (isAbsoluteUrl(urlOf(value)) ? null : `"${urlOf(value)}" is not an absolute URL`),
+  logo: value => (isAbsoluteUrl(urlOf(value)) ? null : `"${urlOf(value)}" is not an absolute image URL`),
+  image: value => (isAbsoluteUrl(urlOf(value)) ? null : `"${urlOf(value)}" is not an absolute image URL`),
+  sameAs: value => (isAbsoluteUrl(value) ? null : `"${value}" is not an absolute URL`),
+  startDate: value => (ISO_DATE.test(value) ? null : `"${value}" is not an ISO 8601 date`),
+  endDate: value => (ISO_DATE.test(value) ? null : `"${value}" is not an ISO 8601 date`),
+  telephone: value => (/\d{3}/.test(String(value)) ? null : `"${value}" is not a phone number`),
+  geo: value => {
+    const { latitude, longitude } = value || {};
+    if (!isNumber(latitude) || Math.abs(latitude) > 90) return `latitude "${latitude}" is not between -90 and 90`;
+    if (!isNumber(longitude) || Math.abs(longitude) > 180) return `longitude "${longitude}" is not between -180 and 180`;
+    return null;
+  },
+  aggregateRating: value => {
+    if (!isNumber(value?.ratingValue)) return `ratingValue "${value?.ratingValue}" is not a number`;
+    if (!isNumber(value?.ratingCount) && !isNumber(value?.reviewCount)) return 'needs a ratingCount or reviewCount';
+    return null;
+  },
+  offers: value => {
+    // AggregateOffer has lowPrice instead of price
+    const price = value?.price ?? value?.lowPrice;
+    if (!isNumber(price)) return `price "${price}" is not a number`;
+    if (!/^[A-Z]{3}$/.test(value?.priceCurrency || '')) return `priceCurrency "${value?.priceCurrency}" is not a 3 letter currency code`;
+    return null;
+  }
+};
+
+function checkBreadcrumbs(node, problem) {
+  const items = asList(node.itemListElement);
+  items.forEach((listItem, index) => {
+    const where = `itemListElement[${index}]`;
+    const position = Number(listItem?.position);
+    if (!Number.isInteger(position) || position < 1) problem('invalid-value', `${where}.position`, `"${listItem?.position}" is not a positive whole number`);
+    else if (position !== index + 1) problem('invalid-value', `${where}.position`, `is ${position}, expected ${index + 1}`);
+    if (!isPresent(listItem?.name) && !isPresent(listItem?.item?.name)) problem('missing-required', `${where}.name`, '');
+    // The last crumb is the current page and may leave out its URL
+    const url = urlOf(listItem?.item);
+    if (!isPresent(url)) {
+      if (index < items.length - 1) problem('missing-required', `${where}.item`, '');
+    } else if (!isAbsoluteUrl(url)) {
+      problem('invalid-value', `${where}.item`, `"${url}" is not an absolute URL`);
+    }
+  });
+}
+
+function checkProduct(node, problem) {
+  if (!['offers', 'review', 'aggregateRating'].some(property => isPresent(node[property]))) {
+    problem('missing-required', 'offers|review|aggregateRating', 'a product needs at least one of them');
+  }
+}
+
+function checkFaq(node, problem) {
+  asList(node.mainEntity).forEach((question, index) => {
+    const where = `mainEntity[${index}]`;
+    if (!typesOf(question).includes('Question')) problem('invalid-value', where, `is a ${typesOf(question).join('/') || 'node without a type'}, expected a Question`);
+    if (!isPresent(question?.name)) problem('missing-required', `${where}.name`, '');
+    if (!isPresent(question?.acceptedAnswer?.text)) problem('missing-required', `${where}.acceptedAnswer.text`, '');
+  });
+}
+
+// The value of a microdata property element, as browsers and Google read it
+function microdataValue(element) {
+  const tag = element.rawTagName?.toLowerCase();
+  if (tag === 'meta') return element.getAttribute('content') ?? '';
+  if (['a', 'area', 'link'].includes(tag)) return element.getAttribute('href') ?? '';
+  if (['img', 'audio', 'video', 'source', 'iframe', 'embed', 'track'].includes(tag)) return element.getAttribute('src') ?? '';
+  if (tag === 'time') return element.getAttribute('datetime') ?? element.text.trim();
+  if (['data', 'meter'].includes(tag)) return element.getAttribute('value') ?? '';
+  return element.text.trim();
+}
+
+// Turn an itemscope element into a JSON-LD style object
+function microdataItem(scope, pageUrl) {
+  const item = {};
+  const type = scope.getAttribute('itemtype');
+  if (type) item['@type'] = type.trim().split(/\s+/);
+
+  const addProperties = element => {
+    for (const child of element.childNodes) {
+      if (child.nodeType !== 1) continue;
+      const names = child.getAttribute('itemprop');
+      const isScope = child.hasAttribute('itemscope');
+      if (names) {
+        let value = isScope ? microdataItem(child, pageUrl) : microdataValue(child);
+        // Links in microdata are relative to the page
+        if (typeof value === 'string' && ['a', 'area', 'link', 'img'].includes(child.rawTagName?.toLowerCase()) && value) {
+          value = URL.canParse(value, pageUrl) ? new URL(value, pageUrl).href : value;
+        }
+        for (const name of names.trim().split(/\s+/)) {
+          item[name] = name in item ? [...asList(item[name]), value] : value;
+        }
+      }
+      // A nested item's properties belong to it, not to this one
+      if (!isScope) addProperties(child);
+    }
+  };
+  addProperties(scope);
+  return item;
+}
+
+// All structured data on a page: [{ format, node }] for every top level item, and
+// [{ format, error }] for JSON-LD blocks that don't parse
+function extractStructuredData(html, pageUrl) {
+  const root = parse(html, { blockTextElements: { script: true, style: false } });
+  const items = [];
+
+  root.querySelectorAll('script[type="application/ld+json"]').forEach((script, index) => {
+    try {
+      jsonLdItems(JSON.parse(script.text)).forEach(node => items.push({ format: 'json-ld', node }));
+    } catch (error) {
+      items.push({ format: 'json-ld', error: `block ${index + 1}: ${error.message}` });
+    }
+  });
+
+  // Top level items only, nested ones are part of their parent
+  root.querySelectorAll('[itemscope]')
+    .filter(element => !element.hasAttribute('itemprop'))
+    .map(scope => microdataItem(scope, pageUrl))
+    .filter(node => typesOf(node).length > 0)
+    .forEach(node => items.push({ format: 'microdata', node }));
+
+  return items;
+}
+
+// Problems with one node: [{ property, issue, detail }]. Nodes of types we don't use have none.
+function validateNode(node) {
+  const schemaName = typesOf(node).map(schemaOf).find(Boolean);
+  if (!schemaName) return [];
+  const schema = SCHEMAS[schemaName];
+  const problems = [];
+  const problem = (issue, property, detail) => problems.push({ property, issue, detail });
+
+  for (const property of schema.required) {
+    if (!isPresent(node[property])) problem('missing-required', property, '');
+  }
+  for (const property of schema.recommended) {
+    if (!isPresent(node[property])) problem('missing-recommended', property, '');
+  }
+  for (const property of [...schema.required, ...schema.recommended]) {
+    if (!VALUE_CHECKS[property]) continue;
+    for (const value of asList(node[property])) {
+      // A bare {"@id": ...} points to a node described elsewhere on the page
+      if (value && typeof value === 'object' && Object.keys(value).length === 1 && value['@id']) continue;
+      const detail = VALUE_CHECKS[property](value);
+      if (detail) problem('invalid-value', property, detail);
+    }
+  }
+  schema.check?.(node, problem);
+
+  return problems;
+}
+
+// Check every item on a page. Returns { items: [{ format, type, schema, problems }], issues }
+// where issues are the flat rows for the report.
+function validatePage(url, extracted) {
+  const items = [];
+  const issues = [];
+
+  for (const { format, node, error } of extracted) {
+    if (error) {
+      issues.push({ url, format, type: '', property: '', issue: 'invalid-json', detail: error });
+      continue;
+    }
+    const types = typesOf(node);
+    const problems = validateNode(node);
+    const schema = types.map(schemaOf).find(Boolean) || '';
+    items.push({ format, type: types.join(' '), schema, problems });
+    problems.forEach(problem => issues.push({ url, format, type: types.join(' '), ...problem }));
+  }
+
+  if (extracted.length === 0) {
+    issues.push({ url, format: '', type: '', property: '', issue: 'no-structured-data', detail: 'no JSON-LD or microdata on the page' });
+  }
+
+  return { items, issues };
+}
+
+// Fetch one page and check its structured data. Redirects are followed, the data of the page
+// they end on is what counts.
+async function checkPage(url, { userAgent, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Accept: 'text/html,application/xhtml+xml,*/*;q=0.8', ...(userAgent ? { 'User-Agent': userAgent } : {}) },
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    const detail = error.name === 'TimeoutError' ? 'timeout' : error.message;
+    return { url, status: 'error', items: [], issues: [{ url, format: '', type: '', property: '', issue: 'fetch-error', detail }] };
+  }
+
+  if (!response.ok || !(response.headers.get('content-type') || '').includes('text/html')) {
+    await response.body?.cancel();
+    const detail = response.ok ? `not HTML (${response.headers.get('content-type') || 'no Content-Type'})` : `HTTP ${response.status}`;
+    return { url, status: response.status, items: [], issues: [{ url, format: '', type: '', property: '', issue: 'fetch-error', detail }] };
+  }
+
+  const html = await response.text();
+  return { url, status: response.status, ...validatePage(url, extractStructuredData(html, response.url || url)) };
+}
+
+// Check each page, `concurrency` at a time and no faster than requestsPerSecond, in the order given
+async function checkPages(urls, { concurrency = 5, requestsPerSecond = 5, userAgent } = {}) {
+  const pages = [];
+  const waitForSlot = createRateLimiter(requestsPerSecond);
+  const queue = [...urls];
+
+  while (queue.length > 0) {
+    const batch = queue.splice(0, concurrency);
+    pages.push(...await Promise.all(batch.map(async url => {
+      await waitForSlot();
+      const page = await checkPage(url, { userAgent });
+      const errors = page.issues.filter(issue => issue.issue !== 'missing-recommended');
+      if (errors.length > 0) console.log(`  ❌ ${url}: ${[...new Set(errors.map(issue => issue.issue))].join(', ')}`);
+      return page;
+    })));
+    console.log(`🔎 Checked ${pages.length}/${urls.length} pages`);
+  }
+
+  return pages;
+}
+
+const PAGE_COLUMNS = ['url', 'status', 'items', 'types', 'errors', 'warnings'];
+const ISSUE_COLUMNS = ['url', 'format', 'type', 'property', 'issue', 'detail'];
+const TYPE_COLUMNS = ['type', 'pages', 'items', 'itemsWithErrors', 'itemsWithWarnings', 'topProblems'];
+
+// One row per type we validate: how many pages and items have it and what's most often wrong
+function summarizeTypes(pages) {
+  return Object.keys(SCHEMAS).map(schemaName => {
+    const found = pages.flatMap(page => page.items.filter(item => item.schema === schemaName).map(item => ({ ...item, url: page.url })));
+    const counts = new Map();
+    found.flatMap(item => item.problems).forEach(({ property, issue }) => {
+      const key = `${property} ${issue}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    return {
+      type: schemaName,
+      pages: new Set(found.map(item => item.url)).size,
+      items: found.length,
+      itemsWithErrors: found.filter(item => item.problems.some(problem => problem.issue !== 'missing-recommended')).length,
+      itemsWithWarnings: found.filter(item => item.problems.some(problem => problem.issue === 'missing-recommended')).length,
+      topProblems: [...counts].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([key, count]) => `${key} (${count})`).join('; ')
+    };
+  });
+}
+
+// Write <basePath>-pages.csv (one row per page), <basePath>-issues.csv (one row per problem),
+// <basePath>-types.csv (one row per type) and <basePath>.json with all of it
+async function writeStructuredDataReport(pages, basePath = 'structured-data') {
+  const pageRows = pages.map(page => ({
+    url: page.url,
+    status: page.status,
+    items: page.items.length,
+    types: [...new Set(page.items.map(item => item.type))].join(', '),
+    errors: page.issues.filter(issue => issue.issue !== 'missing-recommended').length,
+    warnings: page.issues.filter(issue => issue.issue === 'missing-recommended').length
+  }));
+  const issues = pages.flatMap(page => page.issues);
+  const types = summarizeTypes(pages);
+
+  await fs.writeFile(`${basePath}-pages.csv`, toCsv(pageRows, PAGE_COLUMNS), 'utf8');
+  await fs.writeFile(`${basePath}-issues.csv`, toCsv(issues, ISSUE_COLUMNS), 'utf8');
+  await fs.writeFile(`${basePath}-types.csv`, toCsv(types, TYPE_COLUMNS), 'utf8');
+  await fs.writeFile(`${basePath}.json`, JSON.stringify({ types, pages }, null, 2), 'utf8');
+
+  return { pageRows, issues, types };
+}
+
+export { SCHEMAS, ISSUES, extractStructuredData, validateNode, validatePage, checkPages, writeStructuredDataReport };
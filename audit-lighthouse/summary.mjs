@@ -0,0 +1,159 @@
+// Build and write the per-run score summary (one row per path × profile)
+
+import fs from 'fs';
+import path from 'path';
+import { PLUGIN_CATEGORY } from './plugins.mjs';
+
+// Lighthouse category ids and the column names used in the summary
+const CATEGORIES = {
+  performance: 'performance',
+  accessibility: 'accessibility',
+  'best-practices': 'bestPractices',
+  seo: 'seo'
+};
+
+// Lighthouse audit ids for the key metrics and the column names used in the summary
+const METRICS = {
+  'largest-contentful-paint': 'lcp',
+  'cumulative-layout-shift': 'cls',
+  'total-blocking-time': 'tbt',
+  'first-contentful-paint': 'fcp',
+  'speed-index': 'speedIndex',
+  'server-response-time': 'ttfb'
+};
+
+const COLUMNS = ['path', 'profile', 'formFactor', 'url', ...Object.values(CATEGORIES), ...Object.values(METRICS)];
+const VALUE_COLUMNS = [...Object.values(CATEGORIES), ...Object.values(METRICS)];
+
+// Columns written when the site has plugins: the "Site checks" score and the ids of the
+// plugin audits that failed
+const PLUGIN_COLUMNS = ['siteChecks', 'failedChecks'];
+
+// Extra columns written when a path was audited more than once
+const SPREAD_COLUMNS = [
+  'runs',
+  ...VALUE_COLUMNS.flatMap(column => [`${column}Min`, `${column}Max`, `${column}Stddev`]),
+  'unstable'
+];
+
+// When the spread across runs is above these, the page is flagged as too noisy to trust
+const DEFAULT_VARIANCE_THRESHOLDS = {
+  maxScoreStddev: 5, // category score points
+  maxMetricCv: 0.2, // stddev / mean for the millisecond metrics
+  maxClsStddev: 0.05 // CLS is often ~0, so it gets an absolute limit instead of a ratio
+};
+
+// Pull the category scores (0-100) and raw metric values out of a Lighthouse result
+function extractSummaryRow(lhr, pathname, profile) {
+  const row = {
+    path: pathname,
+    profile,
+    formFactor: lhr.configSettings?.formFactor,
+    url: lhr.finalDisplayedUrl || lhr.requestedUrl
+  };
+
+  for (const [id, column] of Object.entries(CATEGORIES)) {
+    const score = lhr.categories[id]?.score;
+    row[column] = typeof score === 'number' ? Math.round(score * 100) : null;
+  }
+
+  for (const [id, column] of Object.entries(METRICS)) {
+    const value = lhr.audits[id]?.numericValue;
+    // CLS is unitless and needs its decimals, everything else is milliseconds
+    if (typeof value !== 'number') {
+      row[column] = null;
+    } else {
+      row[column] = id === 'cumulative-layout-shift' ? Number(value.toFixed(3)) : Math.round(value);
+    }
+  }
+
+  const siteChecks = lhr.categories[PLUGIN_CATEGORY];
+  if (siteChecks) {
+    row.siteChecks = typeof siteChecks.score === 'number' ? Math.round(siteChecks.score * 100) : null;
+    row.failedChecks = siteChecks.auditRefs
+      .map(ref => lhr.audits[ref.id])
+      .filter(audit => audit && typeof audit.score === 'number' && audit.score < 1)
+      .map(audit => audit.id)
+      .join(' ');
+  }
+
+  return row;
+}
+
+// Median of a list of numbers
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function stddev(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+}
+
+// Collapse the rows from several runs of one path/profile into a single row holding the
+// median of every score and metric, plus its min/max/stddev and the list of columns
+// whose spread is above the variance thresholds.
+function aggregateRuns(rows, thresholds = {}) {
+  const limits = { ...DEFAULT_VARIANCE_THRESHOLDS, ...thresholds };
+  const scoreColumns = Object.values(CATEGORIES);
+  const row = { ...rows[0], runs: rows.length };
+  const unstable = [];
+
+  for (const column of VALUE_COLUMNS) {
+    const values = rows.map(r => r[column]).filter(value => typeof value === 'number');
+    if (values.length === 0) continue;
+
+    const round = column === 'cls' ? value => Number(value.toFixed(3)) : value => Math.round(value);
+    const spread = stddev(values);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    row[column] = round(median(values));
+    row[`${column}Min`] = Math.min(...values);
+    row[`${column}Max`] = Math.max(...values);
+    row[`${column}Stddev`] = Number(spread.toFixed(column === 'cls' ? 3 : 1));
+
+    let tooNoisy;
+    if (scoreColumns.includes(column)) tooNoisy = spread > limits.maxScoreStddev;
+    else if (column === 'cls') tooNoisy = spread > limits.maxClsStddev;
+    else tooNoisy = mean > 0 && spread / mean > limits.maxMetricCv;
+
+    if (tooNoisy) unstable.push(column);
+  }
+
+  row.unstable = unstable.join(' ');
+  return row;
+}
+
+// Escape a value for CSV output
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvValue(row[column])).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+// Write summary-<timestamp>.csv and summary-<timestamp>.json to the output directory
+function writeSummary(rows, outputDir, timestamp) {
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+
+  const basePath = path.resolve(outputDir, `summary-${timestamp}`);
+  let columns = rows.some(row => row.runs > 1) ? [...COLUMNS, ...SPREAD_COLUMNS] : COLUMNS;
+  // Sampled runs say which template each path stands in for
+  if (rows.some(row => row.template)) columns = ['path', 'template', ...columns.slice(1)];
+  if (rows.some(row => row.siteChecks !== undefined)) columns = [...columns, ...PLUGIN_COLUMNS];
+  // User flow steps say which flow they belong to and how they were measured
+  if (rows.some(row => row.flow)) columns = [columns[0], 'flow', 'step', 'mode', ...columns.slice(1)];
+  fs.writeFileSync(`${basePath}.csv`, toCsv(rows, columns));
+  fs.writeFileSync(`${basePath}.json`, JSON.stringify(rows, null, 2));
+
+  return basePath;
+}
+
+export { CATEGORIES, METRICS, COLUMNS, VALUE_COLUMNS, extractSummaryRow, aggregateRuns, median, toCsv, writeSummary };
@@ -0,0 +1,135 @@
+// Group paths that share a page template and audit a sample of each group
+//
+// Rules in the site config name the templates explicitly, first match wins:
+//   "templates": [
+//     { "name": "Rental detail", "pattern": "/myrtle-beach/units/*" },
+//     { "name": "Destination", "pattern": "/destinations/*.html" }
+//   ]
+// Paths no rule matches are grouped automatically by parent folder and extension
+// ("/north-myrtle-beach/units/abc" -> "/north-myrtle-beach/units/*"), as long as at
+// least minTemplateSize paths share it. Everything else is its own one-page template.
+
+import fs from 'fs';
+import path from 'path';
+import { globToRegExp } from './site-config.mjs';
+import { VALUE_COLUMNS, median, toCsv } from './summary.mjs';
+
+const DEFAULT_MIN_TEMPLATE_SIZE = 3;
+
+// Pattern shared by the siblings of a path, or null for top-level pages
+function autoPattern(pathname) {
+  const segments = pathname.replace(/\/+$/, '').split('/');
+  if (segments.length < 3) return null;
+
+  const last = segments.pop();
+  return `${segments.join('/')}/*${path.extname(last)}`;
+}
+
+// Returns [{ name, pattern, paths }] covering every path exactly once
+function groupIntoTemplates(paths, rules = [], { minTemplateSize = DEFAULT_MIN_TEMPLATE_SIZE } = {}) {
+  const compiled = rules.map(rule => {
+    const spec = typeof rule === 'string' ? { name: rule, pattern: rule } : rule;
+    if (!spec || typeof spec.pattern !== 'string') {
+      throw new Error(`Every template rule needs a "pattern": ${JSON.stringify(rule)}`);
+    }
+    return { name: spec.name || spec.pattern, pattern: spec.pattern, regex: globToRegExp(spec.pattern) };
+  });
+
+  const groups = new Map();
+  const addTo = (name, pattern, pathname) => {
+    if (!groups.has(name)) groups.set(name, { name, pattern, paths: [] });
+    groups.get(name).paths.push(pathname);
+  };
+
+  const unmatched = [];
+  for (const pathname of paths) {
+    const rule = compiled.find(({ regex }) => regex.test(pathname));
+    if (rule) addTo(rule.name, rule.pattern, pathname);
+    else unmatched.push(pathname);
+  }
+
+  const byPattern = new Map();
+  for (const pathname of unmatched) {
+    const pattern = autoPattern(pathname);
+    if (!byPattern.has(pattern)) byPattern.set(pattern, []);
+    byPattern.get(pattern).push(pathname);
+  }
+
+  for (const [pattern, members] of byPattern) {
+    if (pattern && members.length >= minTemplateSize) {
+      members.forEach(pathname => addTo(pattern, pattern, pathname));
+    } else {
+      members.forEach(pathname => addTo(pathname, pathname, pathname));
+    }
+  }
+
+  return [...groups.values()];
+}
+
+// Pick up to perTemplate paths spread evenly through each (sorted) group, so the same
+// pages get picked again on the next run and results stay comparable
+function samplePaths(groups, perTemplate) {
+  const sampled = [];
+
+  for (const group of groups) {
+    const sorted = [...group.paths].sort();
+    let picks;
+    if (sorted.length <= perTemplate) {
+      picks = sorted;
+    } else if (perTemplate === 1) {
+      picks = [sorted[Math.floor((sorted.length - 1) / 2)]];
+    } else {
+      const indexes = new Set(Array.from({ length: perTemplate }, (_, i) => Math.round(i * (sorted.length - 1) / (perTemplate - 1))));
+      picks = [...indexes].map(index => sorted[index]);
+    }
+    picks.forEach(pathname => sampled.push({ pathname, template: group.name }));
+  }
+
+  return sampled;
+}
+
+// One row per template × profile with the median of every score and metric over the sampled pages
+function rollupByTemplate(rows, groups) {
+  const sizes = new Map(groups.map(group => [group.name, group.paths.length]));
+  const buckets = new Map();
+
+  for (const row of rows) {
+    const key = `${row.template}|${row.profile}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(row);
+  }
+
+  return [...buckets.values()].map(bucket => {
+    const rollup = {
+      template: bucket[0].template,
+      profile: bucket[0].profile,
+      pagesTotal: sizes.get(bucket[0].template) ?? bucket.length,
+      pagesSampled: bucket.length
+    };
+
+    for (const column of VALUE_COLUMNS) {
+      const values = bucket.map(row => row[column]).filter(value => typeof value === 'number');
+      rollup[column] = values.length === 0 ? null : Number(median(values).toFixed(column === 'cls' ? 3 : 0));
+    }
+
+    const worst = bucket
+      .filter(row => typeof row.performance === 'number')
+      .sort((a, b) => a.performance - b.performance)[0];
+    rollup.worstPath = worst ? worst.path : '';
+
+    return rollup;
+  });
+}
+
+// Write template-summary-<timestamp>.csv and .json next to the regular summary
+function writeTemplateSummary(rollups, outputDir, timestamp) {
+  const columns = ['template', 'profile', 'pagesTotal', 'pagesSampled', ...VALUE_COLUMNS, 'worstPath'];
+  const basePath = path.resolve(outputDir, `template-summary-${timestamp}`);
+
+  fs.writeFileSync(`${basePath}.csv`, toCsv(rollups, columns));
+  fs.writeFileSync(`${basePath}.json`, JSON.stringify(rollups, null, 2));
+
+  return basePath;
+}
+
+export { groupIntoTemplates, samplePaths, rollupByTemplate, writeTemplateSummary };
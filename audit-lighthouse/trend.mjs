@@ -0,0 +1,216 @@
+// Trends from the results every audit.js run adds to the history store
+// Usage: node trend.mjs <site-config.json | site> [--path <path>] [--profile <name>] [--from <date>] [--to <date>]
+//                       [--metric <column>] [--top <n>] [--history <file>]
+//   --path     one page's results run by run, instead of the whole site
+//   --profile  only this device profile, e.g. mobile
+//   --from     first day to look at, e.g. 2025-01-01 (default: the first run)
+//   --to       last day to look at, e.g. 2025-03-31 (default: the last run)
+//   --metric   score or metric the biggest changes are ranked by (default performance)
+//   --top      how many improvements and regressions to list (default 10)
+//   --history  the results store (default history/results.jsonl)
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadSiteConfig } from './site-config.mjs';
+import { CATEGORIES, METRICS, VALUE_COLUMNS, median } from './summary.mjs';
+import { DEFAULT_HISTORY_FILE, readHistory } from './history.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    path: { type: 'string' },
+    profile: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    metric: { type: 'string', default: 'performance' },
+    top: { type: 'string', default: '10' },
+    history: { type: 'string' }
+  }
+});
+
+// Scores get better as they go up, the millisecond metrics and CLS as they go down
+const LOWER_IS_BETTER = new Set(Object.values(METRICS));
+// The columns shown for the whole site, the rest are in the per-path view
+const SITE_COLUMNS = [...Object.values(CATEGORIES), 'lcp', 'cls', 'tbt'];
+const SPARKS = '▁▂▃▄▅▆▇█';
+
+// "2025-03-01T14:05:09.123Z" -> "2025-03-01 14:05"
+const formatDate = date => date.slice(0, 16).replace('T', ' ');
+
+// One bar per value, from the lowest to the highest in the list. Missing values are a space.
+function sparkline(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  const min = Math.min(...numbers);
+  const range = Math.max(...numbers) - min;
+  return values.map(value => {
+    if (typeof value !== 'number') return ' ';
+    return SPARKS[range === 0 ? 3 : Math.round((value - min) / range * (SPARKS.length - 1))];
+  }).join('');
+}
+
+const round = (column, value) => column === 'cls' ? Number(value.toFixed(3)) : Math.round(value);
+
+// The site name from a site json, or the name itself
+function siteName(siteArg) {
+  if (!siteArg.toLowerCase().endsWith('.json')) return siteArg;
+  return loadSiteConfig(path.resolve(__dirname, siteArg)).site;
+}
+
+// User flow steps (see flows.mjs) are named "<flow> › <step>". Timespans and snapshots have no
+// LCP and score differently from a page load, so they stay out of the site-wide numbers.
+// Records written before "flow" was stored are recognised by their name.
+const isFlowStep = record => Boolean(record.flow) || record.path.includes(' › ');
+
+// --from/--to are compared as strings, so a plain date covers the whole day
+function inRange(record) {
+  if (args.from && record.date < args.from) return false;
+  if (args.to && record.date.slice(0, args.to.length) > args.to) return false;
+  return true;
+}
+
+function groupBy(records, keyOf) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  return groups;
+}
+
+// Print a table with one row per run and a sparkline of every column under it
+function printTrend(title, rows, columns) {
+  console.log(`\n${title}`);
+  console.table(rows);
+  if (rows.length < 2) return;
+  const width = Math.max(...columns.map(column => column.length));
+  columns.forEach(column => console.log(`  ${column.padEnd(width)}  ${sparkline(rows.map(row => row[column]))}`));
+}
+
+// The whole site run by run: the median of every page for each profile
+function printSiteTrend(records) {
+  for (const [profile, profileRecords] of groupBy(records, record => record.profile)) {
+    const rows = [...groupBy(profileRecords, record => record.date)].map(([date, runRecords]) => {
+      const row = { date: formatDate(date), pages: runRecords.length };
+      for (const column of SITE_COLUMNS) {
+        const values = runRecords.map(record => record[column]).filter(value => typeof value === 'number');
+        row[column] = values.length > 0 ? round(column, median(values)) : null;
+      }
+      return row;
+    });
+    printTrend(`📈 ${profile}: median of every page per run`, rows, SITE_COLUMNS);
+  }
+}
+
+// One page run by run, for each profile
+function printPathTrend(records) {
+  for (const [profile, profileRecords] of groupBy(records, record => record.profile)) {
+    const rows = profileRecords.map(record => ({
+      date: formatDate(record.date),
+      ...Object.fromEntries(VALUE_COLUMNS.map(column => [column, record[column] ?? null]))
+    }));
+    printTrend(`📈 ${args.path} (${profile})`, rows, VALUE_COLUMNS);
+  }
+}
+
+// For every path/profile, the change in the metric from its first to its last run in the range.
+// change is positive for an improvement, whichever way the metric goes.
+function findChanges(records, metric) {
+  const changes = [];
+  for (const pageRecords of groupBy(records, record => `${record.path}\n${record.profile}`).values()) {
+    const measured = pageRecords.filter(record => typeof record[metric] === 'number');
+    if (measured.length < 2) continue;
+
+    const first = measured[0];
+    const last = measured[measured.length - 1];
+    const delta = last[metric] - first[metric];
+    if (delta === 0) continue;
+
+    changes.push({
+      path: first.path,
+      profile: first.profile,
+      [`${metric} before`]: first[metric],
+      [`${metric} after`]: last[metric],
+      change: round(metric, LOWER_IS_BETTER.has(metric) ? -delta : delta),
+      from: formatDate(first.date),
+      to: formatDate(last.date)
+    });
+  }
+  return changes;
+}
+
+function printChanges(records, metric, top) {
+  const changes = findChanges(records, metric);
+  const improvements = changes.filter(change => change.change > 0).sort((a, b) => b.change - a.change).slice(0, top);
+  const regressions = changes.filter(change => change.change < 0).sort((a, b) => a.change - b.change).slice(0, top);
+  const direction = LOWER_IS_BETTER.has(metric) ? 'lower is better' : 'higher is better';
+
+  console.log(`\n🟢 Biggest ${metric} improvements (${direction})`);
+  if (improvements.length > 0) console.table(improvements);
+  else console.log('  none');
+
+  console.log(`\n🔴 Biggest ${metric} regressions (${direction})`);
+  if (regressions.length > 0) console.table(regressions);
+  else console.log('  none');
+}
+
+function main() {
+  const [siteArg] = positionals;
+  if (!siteArg) {
+    console.error('Usage: node trend.mjs <site-config.json | site> [--path <path>] [--profile <name>] [--from <date>] [--to <date>] [--metric <column>] [--top <n>] [--history <file>]');
+    process.exit(1);
+  }
+  for (const option of ['from', 'to']) {
+    if (args[option] && !/^\d{4}-\d{2}-\d{2}/.test(args[option])) {
+      throw new Error(`--${option} must be a date like 2025-03-01, got "${args[option]}"`);
+    }
+  }
+  if (!VALUE_COLUMNS.includes(args.metric)) {
+    throw new Error(`--metric must be one of ${VALUE_COLUMNS.join(', ')}, got "${args.metric}"`);
+  }
+
+  const site = siteName(siteArg);
+  const historyFile = args.history ? path.resolve(args.history) : DEFAULT_HISTORY_FILE;
+  const records = readHistory(historyFile).filter(record =>
+    record.site === site &&
+    (!args.profile || record.profile === args.profile) &&
+    (!args.path || record.path === args.path) &&
+    inRange(record)
+  );
+
+  if (records.length === 0) {
+    console.log(`⚠️  No results for ${site}${args.path ? ` ${args.path}` : ''}${args.profile ? ` (${args.profile})` : ''} in that range`);
+    return;
+  }
+
+  const runs = new Set(records.map(record => record.date)).size;
+  console.log(`📚 ${runs} run(s) of ${site} from ${formatDate(records[0].date)} to ${formatDate(records[records.length - 1].date)}`);
+
+  const top = Math.max(1, parseInt(args.top) || 10);
+  if (args.path) {
+    printPathTrend(records);
+    printChanges(records, args.metric, top);
+    return;
+  }
+
+  const pages = records.filter(record => !isFlowStep(record));
+  const steps = new Set(records.filter(isFlowStep).map(record => record.path));
+  if (pages.length > 0) {
+    printSiteTrend(pages);
+    printChanges(pages, args.metric, top);
+  }
+  if (steps.size > 0) {
+    console.log(`\n🧭 ${steps.size} user flow step(s) are not in the site trend, follow one with --path:`);
+    [...steps].sort().forEach(step => console.log(`  "${step}"`));
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -1,71 +1,471 @@
 import fs from 'fs';
+import { parseArgs } from 'util';
 import fetch from 'node-fetch'; // use version 2
-import csv from 'csv-parser';   // for parsing the CSV
-import { stringify } from 'csv-stringify/sync'; 
+import { stringify } from 'csv-stringify/sync';
+import { FORMATS, loadRedirects } from './redirect-rules.js';
+import { suggestRedirects, loadInventory, extractTitle } from './redirect-suggest.js';
+import { createIdentityProviderCheck, loadSession, createRequestHeaders } from './redirect-auth.js';
+
+const USAGE = `Usage: node audit-redirect.js <redirects-file> --base <url> [options]
+  --base         site the old paths are on, e.g. https://www.condo-world.com
+  --format       ${FORMATS.join(', ')} (default: guessed from the file)
+  --from-column  CSV column with the old path (default "old")
+  --to-column    CSV column with the new path (default "new")
+  --out          CSV the failures are written to (default failed-redirects.csv)
+  --concurrency  redirects checked at the same time (default 5)
+  --rps          most requests started per second (default 5, 0 = no limit)
+  --retries      retries for network errors, 429s and 5xx responses (default 3)
+  --max-hops     flag chains with more redirects than this (default 2)
+  --strict       only pass a row when it ends on its new URL, and sort the results into
+                 pass / wrong-target / no-redirect / error
+  --suggest      the new site's URL list (url.txt from extract-urls.mjs or crawl-urls.mjs);
+                 writes an old,new sheet with the most likely new page for every 404
+  --suggest-out  where the suggestions are written (default suggested-redirects.csv)
+  --skip-titles  with --suggest, match on the URLs only instead of also fetching page titles
+  --cookie       cookie sent to the site, e.g. --cookie "session=abc123" (repeatable)
+  --header       header sent to the site, e.g. --header "Authorization: Bearer abc" (repeatable)
+  --session      cookies saved by capture-session.js, for pages behind a login
+  --auth-host    another login host to treat as "auth required", e.g. login.example.com (repeatable)`;
+
+// e.g. node audit-redirect.js condo-world-redirect-sheet.csv --base https://www.condo-world.com
+//      node audit-redirect.js ../site/public/_redirects --base https://www.example.com --strict
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    base: { type: 'string' },
+    format: { type: 'string' },
+    'from-column': { type: 'string', default: 'old' },
+    'to-column': { type: 'string', default: 'new' },
+    out: { type: 'string', default: 'failed-redirects.csv' },
+    concurrency: { type: 'string', default: '5' },
+    rps: { type: 'string', default: '5' },
+    retries: { type: 'string', default: '3' },
+    'max-hops': { type: 'string' },
+    strict: { type: 'boolean' },
+    suggest: { type: 'string' },
+    'suggest-out': { type: 'string', default: 'suggested-redirects.csv' },
+    'skip-titles': { type: 'boolean' },
+    cookie: { type: 'string', multiple: true, default: [] },
+    header: { type: 'string', multiple: true, default: [] },
+    session: { type: 'string' },
+    'auth-host': { type: 'string', multiple: true, default: [] }
+  }
+});
 
 const redirects = [];
 const failedRedirects = [];
-const baseUrl="https://www.condo-world.com";
-
-fs.createReadStream('./condo-world-redirect-sheet.csv')
-  .pipe(csv())
-  .on('data', (row) => {
-    redirects.push({ from: row.old, to: row.new });
-  })
-  .on('end', async () => {
-    console.log(`🔍 Auditing ${redirects.length} redirects...\n`);
-    await auditRedirects();
-    writeFailuresToCSV();
+// Old paths that end on a 404/410, for --suggest
+const notFound = [];
+// Old paths that send visitors to a login instead of a page
+const authRequired = [];
+const baseUrl = (args.base || '').replace(/\/+$/, '');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const TEMPORARY_STATUSES = [302, 303, 307];
+const NOT_FOUND_STATUSES = [404, 410];
+// Give up on a chain after this many hops, like browsers do
+const MAX_REDIRECTS = 20;
+const maxChainLength = args['max-hops'] !== undefined ? Number(args['max-hops']) : 2;
+const strict = Boolean(args.strict);
+const resultCounts = { pass: 0, 'wrong-target': 0, 'no-redirect': 0, error: 0, 'auth-required': 0 };
+const isIdentityProvider = createIdentityProviderCheck(args['auth-host']);
+// Cookies and headers for each request, set up in main from --cookie/--header/--session
+let headersFor = () => ({});
+
+const concurrency = Math.max(1, parseInt(args.concurrency) || 1);
+const requestsPerSecond = Number(args.rps) || 0;
+const maxRetries = Math.max(0, parseInt(args.retries) || 0);
+// A hung request would hold up a worker for good
+const REQUEST_TIMEOUT_MS = 30000;
+// Print progress after this many rows
+const PROGRESS_EVERY = 25;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves when the next request may start, so no more than requestsPerSecond start in any second
+const waitForSlot = (() => {
+  const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  let nextSlot = 0;
+  return async () => {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) await sleep(slot - now);
+  };
+})();
+
+async function main() {
+  const [inputFile] = positionals;
+  if (!inputFile || !baseUrl) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (!/^https?:\/\/[^/]+/i.test(baseUrl) || !URL.canParse(baseUrl)) {
+    throw new Error(`--base must be an http(s) URL like https://www.example.com, got "${args.base}"`);
+  }
+  // NaN would never compare as too long, which quietly turns the long chain check off
+  if (!Number.isInteger(maxChainLength) || maxChainLength < 1) {
+    throw new Error(`--max-hops must be a whole number above 0, got "${args['max-hops']}"`);
+  }
+
+  headersFor = createRequestHeaders({
+    baseUrl,
+    cookies: args.cookie,
+    headers: args.header,
+    session: args.session ? loadSession(args.session) : null
   });
 
+  const { format, redirects: loaded, skipped } = await loadRedirects(inputFile, {
+    format: args.format,
+    baseUrl,
+    fromColumn: args['from-column'],
+    toColumn: args['to-column']
+  });
+  redirects.push(...loaded);
+  console.log(`📄 Read ${redirects.length} redirects from ${inputFile} (${format})`);
+
+  if (skipped.length > 0) {
+    console.log(`⏭️  Skipped ${skipped.length} rules that don't send one path to one URL:`);
+    skipped.slice(0, 20).forEach(({ rule, reason }) => console.log(`   ${rule} (${reason})`));
+    if (skipped.length > 20) console.log(`   ... and ${skipped.length - 20} more`);
+  }
+
+  console.log(`🔍 Auditing ${redirects.length} redirects...\n`);
+  await auditRedirects();
+  writeFailuresToCSV();
+  if (strict) {
+    console.log('\n📊 Results');
+    console.table(resultCounts);
+  }
+  if (authRequired.length > 0) {
+    printAuthRequired();
+  }
+  if (args.suggest) {
+    await writeSuggestions(args.suggest);
+  }
+}
+
 function writeFailuresToCSV() {
   const output = stringify(failedRedirects, {
     header: true,
-    columns: { from: 'From URL', expected: 'Expected Redirect', actual: 'Actual Redirect', status: 'Status' }
+    columns: {
+      ...(strict ? { result: 'Result' } : {}),
+      from: 'From URL',
+      expected: 'Expected Redirect',
+      actual: 'Actual Redirect',
+      status: 'Status',
+      issues: 'Issues',
+      chain: 'Redirect Chain'
+    }
   });
 
-  fs.writeFileSync('failed-redirects.csv', output);
-  console.log(`📁 Saved ${failedRedirects.length} failed redirects to failed-redirects.csv`);
+  fs.writeFileSync(args.out, output);
+  console.log(`📁 Saved ${failedRedirects.length} failed redirects to ${args.out}`);
+}
+
+function printAuthRequired() {
+  console.log(`\n🔒 ${authRequired.length} redirects need a login and were not checked:`);
+  authRequired
+    .sort((a, b) => a.index - b.index)
+    .slice(0, 20)
+    .forEach(({ from, reason }) => console.log(`   ${from} (${reason})`));
+  if (authRequired.length > 20) console.log(`   ... and ${authRequired.length - 20} more`);
+  console.log('   Check them logged in with --session (see capture-session.js), --cookie or --header');
 }
 
-async function checkRedirect(fromUrl, expectedToUrl) {
+// 1s, 2s, 4s... with a little jitter so workers that failed together don't retry together
+const backoff = attempt => 1000 * 2 ** attempt + Math.random() * 250;
+
+// Request one URL without following redirects. Network errors, 429s and 5xx responses are
+// retried with exponential backoff, or after Retry-After when the server asks for longer.
+// The last 429/5xx response is returned when the retries run out.
+async function fetchWithRetry(url) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForSlot();
+
+    let response;
+    try {
+      response = await fetch(url, { redirect: 'manual', timeout: REQUEST_TIMEOUT_MS, headers: headersFor(url) });
+    } catch (err) {
+      if (attempt >= maxRetries) throw err;
+      const delay = backoff(attempt);
+      console.log(`   ↻ ${url}: ${err.message}, retrying in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+      continue;
+    }
+
+    if ((response.status !== 429 && response.status < 500) || attempt >= maxRetries) return response;
+
+    response.body.resume();
+    const retryAfter = Math.min(Number(response.headers.get('retry-after')) * 1000 || 0, 60000);
+    const delay = Math.max(backoff(attempt), retryAfter);
+    console.log(`   ↻ ${url}: ${response.status}, retrying in ${(delay / 1000).toFixed(1)}s`);
+    await sleep(delay);
+  }
+}
+
+// Request a URL one hop at a time without following redirects, recording every
+// status code and Location header on the way.
+// Returns { hops: [{ url, status, location }], loop, tooMany, authRequired }; the last hop is the
+// final response unless the chain looped, went past MAX_REDIRECTS or was sent to a login.
+// authRequired says why the page needs a login: a redirect to an identity provider, which
+// isn't requested, or a 401.
+async function traceRedirects(url) {
+  const hops = [];
+  const seen = new Set();
+  let current = url;
+
+  while (hops.length < MAX_REDIRECTS) {
+    if (hops.length > 0 && isIdentityProvider(current)) {
+      return { hops, loop: false, tooMany: false, authRequired: `login at ${new URL(current).host}` };
+    }
+    seen.add(current);
+    const response = await fetchWithRetry(current);
+    response.body.resume(); // only the headers matter
+    const location = response.headers.get('location') || '';
+    hops.push({ url: current, status: response.status, location });
+
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return { hops, loop: false, tooMany: false, authRequired: response.status === 401 ? '401 Unauthorized' : null };
+    }
+
+    current = new URL(location, current).href;
+    if (seen.has(current)) return { hops, loop: true, tooMany: false };
+  }
+
+  return { hops, loop: false, tooMany: true };
+}
+
+const stripWww = host => host.replace(/^www\./, '');
+
+// Everything wrong with a chain apart from where it ends up
+function chainIssues({ hops, loop, tooMany }) {
+  const redirectHops = hops.filter(hop => REDIRECT_STATUSES.includes(hop.status) && hop.location);
+  const issues = [];
+
+  if (loop) issues.push('redirect loop');
+  if (tooMany) issues.push(`more than ${MAX_REDIRECTS} redirects`);
+  if (redirectHops.length > maxChainLength) {
+    issues.push(`${redirectHops.length} redirects in a row (limit ${maxChainLength})`);
+  }
+
+  redirectHops.forEach((hop, index) => {
+    if (TEMPORARY_STATUSES.includes(hop.status)) {
+      issues.push(`hop ${index + 1} is a temporary ${hop.status}, expected 301/308`);
+    }
+
+    // Switching protocol or www/apex is fine as the only redirect, but in a longer chain it's
+    // an extra hop that the first redirect should have skipped
+    if (redirectHops.length > 1) {
+      const from = new URL(hop.url);
+      const to = new URL(hop.location, hop.url);
+      if (from.protocol !== to.protocol) {
+        issues.push(`hop ${index + 1} switches ${from.protocol.slice(0, -1)} to ${to.protocol.slice(0, -1)}`);
+      }
+      if (from.host !== to.host && stripWww(from.host) === stripWww(to.host)) {
+        issues.push(`hop ${index + 1} switches ${from.host} to ${to.host}`);
+      }
+    }
+  });
+
+  return issues;
+}
+
+// "301 https://a/old → 301 https://a/new → 200 https://a/new/"
+function formatChain({ hops, loop }) {
+  const chain = hops.map(hop => `${hop.status} ${hop.url}`);
+  if (loop) chain.push(`${new URL(hops[hops.length - 1].location, hops[hops.length - 1].url).href} (loop)`);
+  return chain.join(' → ');
+}
+
+// Paths are on the audited site; full URLs (e.g. to another domain) are used as they are
+const absoluteUrl = url => /^https?:\/\//i.test(url.trim()) ? url.trim() : baseUrl + url.trim();
+
+// Compare URLs the way a person would: relative targets resolve against the site, and
+// trailing slashes, letter case and the order of query parameters don't matter
+function normalizeUrl(url) {
+  const parsed = new URL(absoluteUrl(url));
+  parsed.searchParams.sort();
+  const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  return `${parsed.protocol}//${parsed.host}${pathname}${parsed.search}`.toLowerCase();
+}
+
+// Strict mode: the chain has to end on the expected URL with a working page
+function checkStrict(fromUrl, expectedToUrl, trace, index) {
+  const url = absoluteUrl(fromUrl);
+  const { hops } = trace;
+  const first = hops[0];
+  const last = hops[hops.length - 1];
+  const issues = chainIssues(trace);
+  const redirected = REDIRECT_STATUSES.includes(first.status) && first.location;
+  const onTarget = normalizeUrl(last.url) === normalizeUrl(expectedToUrl);
+
+  let result;
+  if (trace.loop || trace.tooMany) {
+    result = 'error';
+    console.log(`🔥 ${url} never stops redirecting: ${formatChain(trace)}`);
+  } else if (last.status >= 500) {
+    // Still failing after the retries
+    result = 'error';
+    console.log(`🔥 ${url} returns ${last.status}: ${formatChain(trace)}`);
+  } else if (!redirected && !onTarget) {
+    result = 'no-redirect';
+    console.log(`❌ ${url} did not redirect (Status: ${first.status}), expected ${expectedToUrl.trim()}`);
+  } else if (!onTarget) {
+    result = 'wrong-target';
+    console.log(`❌ ${url} redirects to ${last.url}, expected ${expectedToUrl.trim()}`);
+  } else if (last.status < 200 || last.status >= 300) {
+    result = 'error';
+    console.log(`🔥 ${url} redirects to ${last.url} but it returns ${last.status}`);
+  } else {
+    result = 'pass';
+    console.log(`✅ ${url} ${redirected ? `correctly redirects to ${last.url}` : 'is already the expected URL'}`);
+  }
+
+  if (issues.length > 0) {
+    console.log(`   ⚠️  ${issues.join('; ')}`);
+  }
+
+  resultCounts[result]++;
+  if (result !== 'pass' || issues.length > 0) {
+    failedRedirects.push({ index, result, from: fromUrl, expected: expectedToUrl, actual: redirected ? last.url : '', status: last.status, issues: issues.join('; '), chain: formatChain(trace) });
+  }
+}
+
+// index is the row's place in the input, so failures can be written in input order
+async function checkRedirect(fromUrl, expectedToUrl, index) {
+  const url = absoluteUrl(fromUrl);
   try {
-    const response = await fetch(
-      (baseUrl + fromUrl),
-      {
-        redirect: 'manual',
-      },
-    );
-    const location = response.headers.get('location');
-    const status = response.status;
-
-    if (status === 301 || status === 302 || status === 308 || status === 307 ) {
-      const followResponse = await fetch((baseUrl + fromUrl), {
-        redirect: 'follow',
-      });
-      const followLocation = followResponse.url;
-      const followStatus = followResponse.status;
-
-      if (followLocation === (baseUrl + expectedToUrl) || followStatus === 200) {
-        console.log(`✅ ${(baseUrl + fromUrl)} correctly redirects to ${followLocation}`);
+    const trace = await traceRedirects(url);
+    // Where a login wall ends up says nothing about the redirect, so it's neither a pass nor a failure
+    if (trace.authRequired) {
+      console.log(`🔒 ${url} needs a login (${trace.authRequired}): ${formatChain(trace)}`);
+      authRequired.push({ index, from: fromUrl, reason: trace.authRequired });
+      resultCounts['auth-required']++;
+      return;
+    }
+    if (NOT_FOUND_STATUSES.includes(trace.hops[trace.hops.length - 1].status)) {
+      notFound.push({ index, from: fromUrl });
+    }
+    if (strict) {
+      checkStrict(fromUrl, expectedToUrl, trace, index);
+      return;
+    }
+
+    const { hops } = trace;
+    const first = hops[0];
+    const last = hops[hops.length - 1];
+    const followLocation = last.url;
+    const followStatus = last.status;
+    const issues = chainIssues(trace);
+    const chain = formatChain(trace);
+
+    if (trace.loop || trace.tooMany) {
+      console.log(`❌ ${url} never stops redirecting: ${chain}`);
+      failedRedirects.push({ index, from: fromUrl, expected: expectedToUrl, actual: followLocation, status: followStatus, issues: issues.join('; '), chain });
+    } else if (REDIRECT_STATUSES.includes(first.status)) {
+      const passed = followLocation === absoluteUrl(expectedToUrl) || followStatus === 200;
+      if (passed) {
+        console.log(`✅ ${url} correctly redirects to ${followLocation}`);
       } else {
-        console.log(`❌ ${(baseUrl + fromUrl)} failed to redirect, expected ${baseUrl + expectedToUrl} but it redirected to ${followLocation} with status ${followStatus}`);
-        failedRedirects.push({ from: fromUrl, expected: expectedToUrl, actual: followLocation, status:followStatus });
+        console.log(`❌ ${url} failed to redirect, expected ${absoluteUrl(expectedToUrl)} but it redirected to ${followLocation} with status ${followStatus}`);
       }
-    } else if (status === 200) {
-      console.warn(`✅ ${(baseUrl + fromUrl)} did not redirect (Status: ${status})`);
+
+      // A redirect that gets there through a bad chain still needs fixing
+      if (issues.length > 0) {
+        console.log(`   ⚠️  ${issues.join('; ')}`);
+      }
+      if (!passed || issues.length > 0) {
+        failedRedirects.push({ index, from: fromUrl, expected: expectedToUrl, actual: followLocation, status: followStatus, issues: issues.join('; '), chain });
+      }
+    } else if (first.status === 200) {
+      console.warn(`✅ ${url} did not redirect (Status: ${first.status})`);
     } else {
-      console.warn(`❌ ${(baseUrl + fromUrl)} did not redirect (Status: ${status})`);
-      failedRedirects.push({ from: fromUrl, expected: expectedToUrl, actual: '', status });
+      console.warn(`❌ ${url} did not redirect (Status: ${first.status})`);
+      failedRedirects.push({ index, from: fromUrl, expected: expectedToUrl, actual: '', status: first.status, issues: '', chain });
     }
   } catch (err) {
-    console.error(`🔥 Error checking ${(baseUrl + fromUrl)}: ${err.message}`);
-    failedRedirects.push({ from: fromUrl, expected: expectedToUrl, actual: `Error: ${err.message}`, status: 'Error' });
+    console.error(`🔥 Error checking ${url}: ${err.message}`);
+    resultCounts.error++;
+    failedRedirects.push({ index, result: 'error', from: fromUrl, expected: expectedToUrl, actual: `Error: ${err.message}`, status: 'Error', issues: '', chain: '' });
   }
 }
 
+function printProgress(done, startedAt) {
+  const elapsed = Date.now() - startedAt;
+  const remaining = Math.round(elapsed / done * (redirects.length - done) / 1000);
+  const eta = remaining >= 60 ? `${Math.floor(remaining / 60)}m ${remaining % 60}s` : `${remaining}s`;
+  console.log(`⏳ ${done}/${redirects.length} checked (${Math.round(done / redirects.length * 100)}%), ${failedRedirects.length} failing${done < redirects.length ? `, about ${eta} left` : ''}`);
+}
+
+// `concurrency` workers take the next item until there are none left
+async function forEachConcurrently(items, handleItem) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await handleItem(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
 async function auditRedirects() {
-  for (const { from, to } of redirects) {
-    await checkRedirect(from, to);
+  const startedAt = Date.now();
+  let done = 0;
+
+  await forEachConcurrently(redirects, async ({ from, to }, index) => {
+    await checkRedirect(from, to, index);
+    done++;
+    if (done % PROGRESS_EVERY === 0 || done === redirects.length) printProgress(done, startedAt);
+  });
+  failedRedirects.sort((a, b) => a.index - b.index);
+}
+
+// <title> of a page on the new site, or '' when it doesn't answer 200 with HTML
+async function fetchTitle(pagePath) {
+  try {
+    const response = await fetchWithRetry(absoluteUrl(pagePath));
+    if (response.status !== 200 || !(response.headers.get('content-type') || '').includes('text/html')) {
+      response.body.resume();
+      return '';
+    }
+    return extractTitle(await response.text());
+  } catch {
+    return '';
   }
 }
+
+// Propose a new page for every old path that 404s and write them as an old,new sheet
+// that can be reviewed and fed back into this script
+async function writeSuggestions(inventoryFile) {
+  const inventory = loadInventory(inventoryFile);
+  console.log(`\n🧭 Suggesting new pages for ${notFound.length} 404s from ${inventory.length} URLs in ${inventoryFile}`);
+  if (notFound.length === 0) return;
+
+  const pages = inventory.map(pagePath => ({ path: pagePath, title: '' }));
+  if (!args['skip-titles']) {
+    let done = 0;
+    await forEachConcurrently(pages, async (page) => {
+      page.title = await fetchTitle(page.path);
+      done++;
+      if (done % (PROGRESS_EVERY * 4) === 0 || done === pages.length) console.log(`⏳ Read ${done}/${pages.length} page titles`);
+    });
+  }
+
+  const oldPaths = notFound.sort((a, b) => a.index - b.index).map(({ from }) => from);
+  const suggestions = suggestRedirects(oldPaths, pages);
+  const output = stringify(suggestions, {
+    header: true,
+    columns: ['old', 'new', 'confidence', 'title', 'alternative']
+  });
+  fs.writeFileSync(args['suggest-out'], output);
+
+  const matched = suggestions.filter(suggestion => suggestion.new).length;
+  console.log(`📁 Saved suggestions for ${matched}/${suggestions.length} 404s to ${args['suggest-out']}, review them before using it as a redirect sheet`);
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
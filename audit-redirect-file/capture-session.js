@@ -0,0 +1,56 @@
+import fs from 'fs';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import puppeteer from 'puppeteer';
+
+// Log in once in a real browser and save its cookies, so audit-redirect.js --session can
+// check pages that are behind a login.
+//
+// Usage: node capture-session.js --base <url> [--start <path>] [--out session.json]
+//   --base   the site to log in to, e.g. https://www.condo-world.com
+//   --start  page to open first, usually one that sends you to the login (default /)
+//   --out    where the cookies are saved (default session.json)
+const { values: args } = parseArgs({
+  options: {
+    base: { type: 'string' },
+    start: { type: 'string', default: '/' },
+    out: { type: 'string', default: 'session.json' }
+  }
+});
+
+function waitForEnter(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, () => {
+    rl.close();
+    resolve();
+  }));
+}
+
+async function main() {
+  if (!args.base) {
+    console.error('Usage: node capture-session.js --base <url> [--start <path>] [--out session.json]');
+    process.exit(1);
+  }
+
+  const startUrl = new URL(args.start, args.base).href;
+  const browser = await puppeteer.launch({ headless: false, defaultViewport: null });
+
+  try {
+    const [page] = await browser.pages();
+    await page.goto(startUrl);
+
+    await waitForEnter(`🔑 Log in in the browser window (${startUrl}), then press Enter here to save the session `);
+
+    // Every cookie in the browser, including the identity provider's, like a returning visitor has
+    const cookies = await browser.cookies();
+    fs.writeFileSync(args.out, JSON.stringify({ base: args.base, capturedAt: new Date().toISOString(), cookies }, null, 2));
+    console.log(`📁 Saved ${cookies.length} cookies to ${args.out}. Keep this file private, it logs anyone in as you.`);
+  } finally {
+    await browser.close();
+  }
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+// Logged-in redirect checks: spotting redirects that end at a login page, and sending
+// cookies/headers (typed in or captured with capture-session.js) so they don't.
+
+import fs from 'fs';
+
+// Hosted identity providers a protected page sends visitors to
+const IDENTITY_PROVIDERS = [
+  'auth0.com',
+  'okta.com',
+  'oktapreview.com',
+  'onelogin.com',
+  'pingidentity.com',
+  'amazoncognito.com',
+  'b2clogin.com',
+  'login.microsoftonline.com',
+  'login.live.com',
+  'accounts.google.com',
+  'clerk.accounts.dev'
+];
+
+// host is the provider or one of its subdomains ("dev-123.us.auth0.com")
+const isOnDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+// extraHosts: more login hosts from --auth-host, e.g. "login.example.com"
+function createIdentityProviderCheck(extraHosts = []) {
+  const domains = [...IDENTITY_PROVIDERS, ...extraHosts.map(host => host.toLowerCase().replace(/^\*?\./, ''))];
+  return url => {
+    const { host } = new URL(url);
+    return domains.some(domain => isOnDomain(host, domain));
+  };
+}
+
+// Cookies saved by capture-session.js
+function loadSession(file) {
+  if (!fs.existsSync(file)) throw new Error(`Session file not found: ${file}`);
+  const session = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(session.cookies)) throw new Error(`${file} has no "cookies" list, capture it with capture-session.js`);
+  return session;
+}
+
+// The session cookies a browser would send with a request to url
+function sessionCookiesFor(cookies, url) {
+  const { hostname, pathname, protocol } = new URL(url);
+  const now = Date.now() / 1000;
+  return cookies.filter(cookie =>
+    isOnDomain(hostname, cookie.domain.replace(/^\./, '')) &&
+    pathname.startsWith(cookie.path || '/') &&
+    (!cookie.secure || protocol === 'https:') &&
+    (!(cookie.expires > 0) || cookie.expires > now)
+  );
+}
+
+// Returns headersFor(url) with the headers to send on every request.
+// --cookie and --header values only go to the audited site, never to other hosts in a chain;
+// session cookies go wherever their domain says, like in the browser they came from.
+function createRequestHeaders({ baseUrl, cookies = [], headers = [], session = null }) {
+  const siteHost = new URL(baseUrl).host;
+  const extraHeaders = Object.fromEntries(headers.map(header => {
+    const separator = header.indexOf(':');
+    if (separator < 1) throw new Error(`--header must look like "Name: value", got "${header}"`);
+    return [header.slice(0, separator).trim(), header.slice(separator + 1).trim()];
+  }));
+
+  return url => {
+    const onSite = new URL(url).host === siteHost;
+    const cookieParts = [
+      ...(session ? sessionCookiesFor(session.cookies, url).map(cookie => `${cookie.name}=${cookie.value}`) : []),
+      ...(onSite ? cookies : [])
+    ];
+
+    return {
+      ...(onSite ? extraHeaders : {}),
+      ...(cookieParts.length > 0 ? { Cookie: cookieParts.join('; ') } : {})
+    };
+  };
+}
+
+export { IDENTITY_PROVIDERS, createIdentityProviderCheck, loadSession, createRequestHeaders };
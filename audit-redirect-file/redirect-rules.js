@@ -0,0 +1,265 @@
+// Read a redirect map from a spreadsheet or from the server config a site ships with.
+// Every reader returns { redirects: [{ from, to }], skipped: [{ rule, reason }] }.
+//
+// Server configs are rules, not URLs, so only rules for one exact path can be audited.
+// Rules with wildcards, placeholders, regex captures or conditions are skipped and reported.
+
+import fs from 'fs';
+import path from 'path';
+import csv from 'csv-parser';
+
+const FORMATS = ['csv', 'nginx', 'apache', 'netlify', 'next'];
+
+// Read the rows of a CSV into [{ from, to }] using the given column names
+function readCsv(file, { fromColumn = 'old', toColumn = 'new' } = {}) {
+  return new Promise((resolve, reject) => {
+    const redirects = [];
+    fs.createReadStream(file)
+      .pipe(csv())
+      .on('headers', (headers) => {
+        const missing = [fromColumn, toColumn].filter(column => !headers.includes(column));
+        if (missing.length > 0) {
+          reject(new Error(`${file} has no ${missing.map(column => `"${column}"`).join(' or ')} column (columns: ${headers.join(', ')})`));
+        }
+      })
+      .on('data', (row) => {
+        if (row[fromColumn]?.trim()) redirects.push({ from: row[fromColumn].trim(), to: (row[toColumn] || '').trim() });
+      })
+      .on('end', () => resolve({ redirects, skipped: [] }))
+      .on('error', reject);
+  });
+}
+
+// The one path a regex matches, or null when it can match more than one.
+// "^/old\.html$" -> "/old.html". An unescaped "." is read as a literal dot, which it also matches.
+function literalFromRegex(pattern) {
+  const body = pattern.replace(/^\^/, '').replace(/\$$/, '');
+  if (/(^|[^\\])[[\](){}*+?|^$]/.test(body)) return null;
+  return body.replace(/\\(.)/g, '$1');
+}
+
+// Fill in the server variables a target can use without knowing the request.
+// Returns null when the target depends on a capture group or another variable.
+function expandTarget(target, from, baseUrl) {
+  const base = new URL(baseUrl);
+  const variables = {
+    '$scheme': base.protocol.slice(0, -1),
+    '$host': base.host,
+    '$http_host': base.host,
+    '$server_name': base.host,
+    '$request_uri': from,
+    '$uri': from,
+    '%{HTTP_HOST}': base.host,
+    '%{SERVER_NAME}': base.host,
+    '%{REQUEST_URI}': from
+  };
+
+  const expanded = target.replace(/\$\{?\w+\}?|%\{\w+\}/g, (variable) => {
+    const name = variable.replace(/^\$\{(\w+)\}$/, '$$$1');
+    return name in variables ? variables[name] : '\0';
+  });
+  return expanded.includes('\0') ? null : expanded;
+}
+
+// Split a config line into words, keeping quoted strings together
+const words = line => (line.match(/"[^"]*"|'[^']*'|\S+/g) || []).map(word => word.replace(/^(["'])(.*)\1$/, '$2'));
+
+// nginx: `location = /old { return 301 /new; }`, `rewrite ^/old$ /new permanent;`
+// and `return` inside an exact or plain prefix location
+function parseNginx(text, baseUrl) {
+  const redirects = [];
+  const skipped = [];
+  const locations = [];
+
+  // Every directive ends in ";", opens a block with "{" or closes one with "}"
+  for (const [, rawStatement, end] of text.replace(/#.*$/gm, '').matchAll(/([^{};]*)([{};])/g)) {
+    const statement = rawStatement.trim().replace(/\s+/g, ' ');
+    if (end === '}') {
+      locations.pop();
+      continue;
+    }
+
+    const [directive, ...rest] = words(statement);
+    if (end === '{') {
+      // location [= | ~ | ~* | ^~] path
+      if (directive === 'location') {
+        const [modifier, location] = rest.length > 1 ? rest : ['', rest[0]];
+        const regex = modifier === '~' || modifier === '~*';
+        const named = location.startsWith('@');
+        locations.push({ path: named ? null : regex ? literalFromRegex(location) : location, raw: statement });
+      } else {
+        locations.push(null);
+      }
+      continue;
+    }
+
+    if (directive === 'rewrite') {
+      const [pattern, target, flag] = rest;
+      if (flag !== 'permanent' && flag !== 'redirect' && !/^https?:\/\//.test(target || '')) continue; // internal rewrite
+      const from = literalFromRegex(pattern);
+      const to = from && expandTarget(target.replace(/\?$/, ''), from, baseUrl);
+      if (from && to) redirects.push({ from, to });
+      else skipped.push({ rule: statement, reason: from ? 'target depends on the request' : 'pattern matches more than one path' });
+    } else if (directive === 'return' && /^30[12378]$/.test(rest[0])) {
+      const location = locations[locations.length - 1];
+      if (!location) {
+        skipped.push({ rule: statement, reason: 'not inside a location for one path' });
+        continue;
+      }
+      const to = location.path && expandTarget(rest[1] || '', location.path, baseUrl);
+      if (location.path && to) redirects.push({ from: location.path, to });
+      else skipped.push({ rule: `${location.raw} { ${statement} }`, reason: location.path ? 'target depends on the request' : 'location matches more than one path' });
+    }
+  }
+
+  return { redirects, skipped };
+}
+
+// Apache / .htaccess: Redirect, RedirectPermanent, RedirectTemp, RedirectMatch and RewriteRule with [R]
+function parseApache(text, baseUrl) {
+  const redirects = [];
+  const skipped = [];
+  let conditions = [];
+
+  const add = (rule, from, target) => {
+    const to = from && expandTarget(target, from, baseUrl);
+    if (from && to) redirects.push({ from, to });
+    else skipped.push({ rule, reason: from ? 'target depends on the request' : 'pattern matches more than one path' });
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const [directive, ...rest] = words(line);
+
+    switch (directive.toLowerCase()) {
+      case 'redirect': {
+        // Redirect [status] URL-path URL
+        const args = /^(permanent|temp|seeother|gone|\d{3})$/i.test(rest[0]) ? rest.slice(1) : rest;
+        if (args.length >= 2) add(line, args[0], args[1]);
+        break;
+      }
+      case 'redirectpermanent':
+      case 'redirecttemp':
+        add(line, rest[0], rest[1]);
+        break;
+      case 'redirectmatch': {
+        const args = /^(permanent|temp|seeother|gone|\d{3})$/i.test(rest[0]) ? rest.slice(1) : rest;
+        add(line, literalFromRegex(args[0] || ''), args[1] || '');
+        break;
+      }
+      case 'rewritecond':
+        conditions.push(line);
+        break;
+      case 'rewriterule': {
+        const [pattern, target, flags = ''] = rest;
+        const isRedirect = /\[(?:[^\]]*,)?(?:R|redirect)(?:=\d+)?(?:,[^\]]*)?\]/i.test(flags);
+        if (isRedirect && conditions.length > 0) {
+          skipped.push({ rule: [...conditions, line].join(' '), reason: 'only applies under RewriteCond conditions' });
+        } else if (isRedirect && target !== '-') {
+          // In .htaccess the pattern is matched without the leading slash
+          const literal = literalFromRegex(pattern);
+          add(line, literal === null ? null : `/${literal.replace(/^\//, '')}`, target);
+        }
+        conditions = [];
+        break;
+      }
+    }
+  }
+
+  return { redirects, skipped };
+}
+
+// Netlify _redirects: `/old [key=:value] /new [status][!] [conditions]`. 200 rewrites and 404
+// pages aren't redirects and are left out quietly, every other rule that can't be audited is skipped.
+function parseNetlify(text) {
+  const redirects = [];
+  const skipped = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const [from, ...rest] = words(line);
+    // Query parameter matches come between the path and the target: `/store id=:id /blog/:id 301`
+    if (rest[0]?.includes('=') && !/^(\/|https?:)/.test(rest[0])) {
+      skipped.push({ rule: line, reason: 'matches on query parameters' });
+      continue;
+    }
+    const [to, ...options] = rest;
+    // The status is optional, so the third word may already be a condition like Country=us
+    const status = options[0] && !options[0].includes('=') ? options.shift() : '301';
+    const conditions = options;
+
+    if (/^(200|404)!?$/.test(status)) continue;
+
+    if (!to) {
+      skipped.push({ rule: line, reason: 'no target' });
+    } else if (!/^30[12378]!?$/.test(status)) {
+      skipped.push({ rule: line, reason: `"${status}" is not a redirect status` });
+    } else if (/[:*]/.test(from) || from.startsWith('http')) {
+      skipped.push({ rule: line, reason: 'placeholder, splat or domain rule' });
+    } else if (conditions.length > 0) {
+      skipped.push({ rule: line, reason: 'only applies under conditions' });
+    } else if (/\/:[A-Za-z_]|\*/.test(to)) {
+      skipped.push({ rule: line, reason: 'target depends on the request' });
+    } else {
+      redirects.push({ from, to });
+    }
+  }
+
+  return { redirects, skipped };
+}
+
+// Next.js `redirects()` output or vercel.json: [{ source, destination, permanent }] or { redirects: [...] }
+function parseNextRedirects(text) {
+  const json = JSON.parse(text);
+  const rules = Array.isArray(json) ? json : json.redirects;
+  if (!Array.isArray(rules)) throw new Error('expected an array of redirects or an object with a "redirects" array');
+
+  const redirects = [];
+  const skipped = [];
+  for (const rule of rules) {
+    const { source, destination, has, missing } = rule;
+    if (typeof source !== 'string' || typeof destination !== 'string') {
+      skipped.push({ rule: JSON.stringify(rule), reason: 'needs a "source" and a "destination"' });
+    } else if (/[:*(]/.test(source)) {
+      skipped.push({ rule: JSON.stringify(rule), reason: 'source has parameters or a pattern' });
+    } else if (has || missing) {
+      skipped.push({ rule: JSON.stringify(rule), reason: 'only applies under "has"/"missing" conditions' });
+    } else {
+      redirects.push({ from: source, to: destination });
+    }
+  }
+
+  return { redirects, skipped };
+}
+
+// Guess the format from the file name, then the contents
+function detectFormat(file, text) {
+  const name = path.basename(file).toLowerCase();
+  if (name.endsWith('.csv')) return 'csv';
+  if (name === '_redirects') return 'netlify';
+  if (name.endsWith('.json')) return 'next';
+  if (name === '.htaccess' || /^\s*(Redirect(Match|Permanent|Temp)?|RewriteRule)\s/m.test(text)) return 'apache';
+  if (/^\s*(rewrite|return\s+30\d|location)\s/m.test(text)) return 'nginx';
+  return 'csv';
+}
+
+// Load redirects from any supported file. format is one of FORMATS, or detected when left out.
+async function loadRedirects(file, { format, baseUrl, fromColumn, toColumn } = {}) {
+  if (!fs.existsSync(file)) throw new Error(`Input file not found: ${file}`);
+  const text = fs.readFileSync(file, 'utf8');
+  const type = format || detectFormat(file, text);
+
+  switch (type) {
+    case 'csv': return { format: type, ...await readCsv(file, { fromColumn, toColumn }) };
+    case 'nginx': return { format: type, ...parseNginx(text, baseUrl) };
+    case 'apache': return { format: type, ...parseApache(text, baseUrl) };
+    case 'netlify': return { format: type, ...parseNetlify(text) };
+    case 'next': return { format: type, ...parseNextRedirects(text) };
+    default: throw new Error(`Unknown format "${type}", expected one of: ${FORMATS.join(', ')}`);
+  }
+}
+
+export { FORMATS, loadRedirects, parseNginx, parseApache, parseNetlify, parseNextRedirects };
@@ -0,0 +1,132 @@
+// Suggest where old URLs that now 404 should redirect to, by comparing each one with every
+// page on the new site: the slug, the rest of the path and the page title.
+
+import fs from 'fs';
+
+// Suggestions below this confidence are left for a person to fill in
+const MIN_CONFIDENCE = 0.3;
+
+// Words that say nothing about which page it is
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'by',
+  'html', 'htm', 'php', 'asp', 'aspx', 'index', 'page', 'www'
+]);
+
+// Abbreviations the old URLs use for words the new ones spell out
+const SYNONYMS = { bdrm: 'bedroom', bdrms: 'bedroom', br: 'bedroom', bd: 'bedroom', bedrooms: 'bedroom', ba: 'bath', baths: 'bath' };
+
+function decode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+// "Litchfield-Beach-2bdrm.html" -> ["litchfield", "beach", "2", "bedroom"]
+function tokenize(text) {
+  return decode(text || '')
+    .toLowerCase()
+    .replace(/(\d)([a-z])/g, '$1 $2')
+    .replace(/([a-z])(\d)/g, '$1 $2')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(word => SYNONYMS[word] || word);
+}
+
+const trigrams = text => Array.from({ length: Math.max(0, text.length - 2) }, (_, i) => text.slice(i, i + 3));
+
+// Last path segment without its extension, and every word in the path
+function describePath(url) {
+  const { pathname } = new URL(url, 'https://placeholder.invalid');
+  const segments = pathname.split('/').filter(Boolean);
+  const slug = (segments[segments.length - 1] || '').replace(/\.\w+$/, '');
+  const slugTokens = tokenize(slug);
+  return {
+    slugTokens,
+    // Without separators, so "scenic-villa" still matches "scenicvilla" or a typo
+    slugTrigrams: trigrams(slugTokens.join('')),
+    pathTokens: tokenize(segments.join(' '))
+  };
+}
+
+// Dice coefficient of two word lists: 1 when they share every word, 0 when none
+function dice(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = new Set(a.filter(word => setB.has(word))).size;
+  return (2 * shared) / (new Set(a).size + setB.size);
+}
+
+// How well a new page matches an old path, from 0 to 1. Titles count when we have them.
+function scorePage(old, page) {
+  const slug = Math.max(dice(old.slugTokens, page.slugTokens), dice(old.slugTrigrams, page.slugTrigrams));
+  const pathScore = dice(old.pathTokens, page.pathTokens);
+
+  if (page.titleTokens.length === 0) return 0.65 * slug + 0.35 * pathScore;
+  return 0.5 * slug + 0.2 * pathScore + 0.3 * dice(old.pathTokens, page.titleTokens);
+}
+
+// pages: [{ path, title }] on the new site. Returns one row per old path:
+// { old, new, confidence, title, alternative } where new is empty when nothing is close enough.
+function suggestRedirects(oldPaths, pages) {
+  // Words in most titles ("Condo World", "Myrtle Beach") are the site name, not the page
+  const titleWords = pages.map(page => [...new Set(tokenize(page.title))]);
+  const titleCounts = new Map();
+  titleWords.flat().forEach(word => titleCounts.set(word, (titleCounts.get(word) || 0) + 1));
+  const common = word => pages.length >= 4 && titleCounts.get(word) > pages.length / 2;
+
+  const candidates = pages.map((page, i) => ({
+    ...page,
+    ...describePath(page.path),
+    titleTokens: titleWords[i].filter(word => !common(word))
+  }));
+
+  return oldPaths.map(oldPath => {
+    const old = describePath(oldPath);
+    const [best, runnerUp] = candidates
+      .map(page => ({ page, score: scorePage(old, page) }))
+      .sort((a, b) => b.score - a.score);
+
+    const confidence = best ? Number(best.score.toFixed(2)) : 0;
+    const confident = confidence >= MIN_CONFIDENCE;
+    return {
+      old: oldPath,
+      new: confident ? best.page.path : '',
+      confidence,
+      title: confident ? best.page.title : '',
+      // The best guess when it wasn't good enough, otherwise the second best, to make reviewing quicker
+      alternative: [confident ? runnerUp : best].find(guess => guess?.score > 0)?.page.path || ''
+    };
+  });
+}
+
+// The new site's URLs from url.txt (one path or URL per line, from extract-urls.mjs or
+// crawl-urls.mjs) or from a site json with "paths"/"pathnames"
+function loadInventory(file) {
+  if (!fs.existsSync(file)) throw new Error(`URL inventory not found: ${file}`);
+  const text = fs.readFileSync(file, 'utf8');
+
+  let entries;
+  if (file.toLowerCase().endsWith('.json')) {
+    const json = JSON.parse(text);
+    entries = Array.isArray(json) ? json : json.paths || json.pathnames;
+    if (!Array.isArray(entries)) throw new Error(`${file} has no "paths" or "pathnames" list`);
+  } else {
+    entries = text.split(/\r?\n/);
+  }
+
+  return [...new Set(entries.map(entry => String(entry).trim()).filter(entry => entry && !entry.startsWith('#')))];
+}
+
+// <title> of an HTML page, with the few entities titles actually use
+function extractTitle(html) {
+  const match = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+  if (!match) return '';
+  return match[1]
+    .replace(/&amp;/g, '&').replace(/&#39;|&apos;/g, "'").replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export { MIN_CONFIDENCE, suggestRedirects, loadInventory, extractTitle };